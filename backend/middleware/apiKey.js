@@ -0,0 +1,47 @@
+// backend/middleware/apiKey.js
+import { findApiKey, recordApiUse } from "../services/apiKeys.js";
+
+export const API_KEY_HEADER = "X-API-Key";
+
+const WINDOW_MS = 60 * 1000;
+
+// key id -> { start, count } for the current one-minute window
+const windows = new Map();
+
+/**
+ * Let through requests carrying an active key in the X-API-Key header,
+ * up to the key's ratePerMinute. Sets req.apiKey and the X-RateLimit-*
+ * headers; answers 401 without a valid key and 429 over the limit.
+ */
+export function requireApiKey(req, res, next) {
+  const apiKey = findApiKey(req.get(API_KEY_HEADER));
+  if (!apiKey) {
+    return res.status(401).json({ error: `a valid ${API_KEY_HEADER} header is required` });
+  }
+
+  const now = Date.now();
+  let window = windows.get(apiKey.id);
+  if (!window || now - window.start >= WINDOW_MS) {
+    window = { start: now, count: 0 };
+    windows.set(apiKey.id, window);
+  }
+
+  const limit = apiKey.ratePerMinute;
+  const resetSeconds = Math.ceil((window.start + WINDOW_MS - now) / 1000);
+  res.set({
+    "X-RateLimit-Limit": String(limit),
+    "X-RateLimit-Remaining": String(Math.max(0, limit - window.count - 1)),
+    "X-RateLimit-Reset": String(resetSeconds)
+  });
+
+  if (window.count >= limit) {
+    recordApiUse(apiKey.id, { limited: true });
+    res.set("Retry-After", String(resetSeconds));
+    return res.status(429).json({ error: `rate limit of ${limit} requests per minute exceeded` });
+  }
+
+  window.count += 1;
+  recordApiUse(apiKey.id);
+  req.apiKey = apiKey;
+  next();
+}
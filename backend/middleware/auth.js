@@ -0,0 +1,65 @@
+// backend/middleware/auth.js
+import { getSessionUser, SESSION_TTL_MS } from "../services/auth.js";
+import { refreshMembership } from "../services/profiles.js";
+
+export const SESSION_COOKIE = "tr_session";
+
+function readCookie(req, name) {
+  const header = req.headers.cookie || "";
+  for (const part of header.split(";")) {
+    const [k, ...v] = part.trim().split("=");
+    if (k === name) return decodeURIComponent(v.join("="));
+  }
+  return null;
+}
+
+/**
+ * Session token from the cookie set by /api/login, or an
+ * `Authorization: Bearer <token>` header for non-browser clients.
+ */
+export function sessionToken(req) {
+  const auth = req.headers.authorization || "";
+  if (auth.startsWith("Bearer ")) return auth.slice(7).trim();
+  return readCookie(req, SESSION_COOKIE);
+}
+
+export function setSessionCookie(res, token) {
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: "lax",
+    secure: process.env.NODE_ENV === "production",
+    maxAge: SESSION_TTL_MS,
+    path: "/"
+  });
+}
+
+export function clearSessionCookie(res) {
+  res.clearCookie(SESSION_COOKIE, { path: "/" });
+}
+
+/**
+ * Populate req.user (or null) on every request, with lapsed memberships
+ * already downgraded.
+ */
+export function attachUser(req, res, next) {
+  req.user = refreshMembership(getSessionUser(sessionToken(req)));
+  next();
+}
+
+export function requireAuth(req, res, next) {
+  if (!req.user) return res.status(401).json({ error: "login required" });
+  next();
+}
+
+/**
+ * Allow only the listed roles. Admins always pass.
+ */
+export function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user) return res.status(401).json({ error: "login required" });
+    if (req.user.role !== "admin" && !roles.includes(req.user.role)) {
+      return res.status(403).json({ error: "not allowed" });
+    }
+    next();
+  };
+}
@@ -0,0 +1,46 @@
+// backend/middleware/rateLimit.js
+
+/**
+ * Per-client limit for the public endpoints that don't need an API key:
+ * at most `max` requests per `windowMs` from one IP, then 429 with
+ * Retry-After until the window ends. Counts live in memory, like the
+ * API key windows in middleware/apiKey.js.
+ *
+ * `cost(req)` weighs requests that cost more than others; it's held to
+ * 1..max, so the largest request still fits in an empty window.
+ */
+export function rateLimit({
+  max,
+  windowMs = 60 * 1000,
+  message = "too many requests, try again shortly",
+  cost = () => 1
+}) {
+  // ip -> { start, count } for its current window
+  const windows = new Map();
+  let lastSweep = Date.now();
+
+  return (req, res, next) => {
+    const now = Date.now();
+    // Forget finished windows now and then, so one-off clients don't pile up
+    if (now - lastSweep >= windowMs) {
+      for (const [ip, w] of windows) {
+        if (now - w.start >= windowMs) windows.delete(ip);
+      }
+      lastSweep = now;
+    }
+
+    let window = windows.get(req.ip);
+    if (!window || now - window.start >= windowMs) {
+      window = { start: now, count: 0 };
+      windows.set(req.ip, window);
+    }
+
+    const units = Math.min(Math.max(Math.ceil(cost(req)) || 1, 1), max);
+    if (window.count + units > max) {
+      res.set("Retry-After", String(Math.ceil((window.start + windowMs - now) / 1000)));
+      return res.status(429).json({ error: message });
+    }
+    window.count += units;
+    next();
+  };
+}
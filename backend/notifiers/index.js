@@ -0,0 +1,29 @@
+// backend/notifiers/index.js
+import { webhookNotifier } from "./webhook.js";
+import { webpushNotifier } from "./webpush.js";
+import { logNotifier } from "./log.js";
+
+/**
+ * Notifier registry for watch alerts, keyed by `notify.type`.
+ *
+ * A notifier looks like:
+ *   {
+ *     id,
+ *     validate(target) -> error message or null
+ *     clean(target) -> just the fields send() needs, for storing
+ *     send(target, { watchId, criteria, slots }) -> Promise
+ *   }
+ */
+const registry = new Map();
+
+export function registerNotifier(notifier) {
+  registry.set(notifier.id, notifier);
+}
+
+registerNotifier(webhookNotifier);
+registerNotifier(webpushNotifier);
+registerNotifier(logNotifier);
+
+export function getNotifier(type) {
+  return registry.get(type) || null;
+}
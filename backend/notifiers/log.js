@@ -0,0 +1,15 @@
+// backend/notifiers/log.js
+
+/**
+ * Development notifier: just prints to the server log.
+ */
+export const logNotifier = {
+  id: "log",
+  validate: () => null,
+  clean: () => ({ type: "log" }),
+  async send(_target, payload) {
+    payload.slots.forEach(s => {
+      console.log(`🔔 watch ${payload.watchId}: ${s.name} ${s.date} ${s.time} (${s.spots} spots)`);
+    });
+  }
+};
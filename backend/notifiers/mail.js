@@ -0,0 +1,31 @@
+// backend/notifiers/mail.js
+import { createWebhookNotifier } from "./webhook.js";
+
+/**
+ * Account mail (password resets). There's no SMTP library here, so mail
+ * goes as JSON { to, subject, text } to MAIL_WEBHOOK_URL, an operator-run
+ * relay (e.g. a transactional mail provider's HTTP hook). The relay is
+ * configured by the operator, so it may live on a private network.
+ *
+ * Without a relay the message is only printed when NODE_ENV is
+ * "development"; anywhere else a reset link in the logs would be a
+ * live credential.
+ */
+const relay = createWebhookNotifier({
+  timeoutMs: Number(process.env.MAIL_TIMEOUT_MS) || 10000,
+  allowPrivate: true
+});
+
+export async function sendMail({ to, subject, text }) {
+  const url = process.env.MAIL_WEBHOOK_URL;
+  if (url) {
+    await relay.send({ url }, { to, subject, text });
+    return true;
+  }
+  if (process.env.NODE_ENV === "development") {
+    console.log(`✉️  (dev, not sent) to ${to}: ${subject}\n${text}`);
+    return false;
+  }
+  console.warn(`No MAIL_WEBHOOK_URL configured; "${subject}" was not sent`);
+  return false;
+}
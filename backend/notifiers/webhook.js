@@ -0,0 +1,105 @@
+// backend/notifiers/webhook.js
+import fetch from "node-fetch";
+import dns from "dns";
+import http from "http";
+import https from "https";
+import net from "net";
+
+/**
+ * Members choose the webhook URL, so it must never reach the server's
+ * own network: loopback, private, link-local (cloud metadata), CGNAT,
+ * multicast and reserved ranges are refused, both as literal hosts and
+ * wherever a hostname resolves to (checked at connect time, redirects
+ * included).
+ */
+const blocked = new net.BlockList();
+[
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8],
+  ["169.254.0.0", 16], ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16],
+  ["198.18.0.0", 15], ["224.0.0.0", 4], ["240.0.0.0", 4]
+].forEach(([net4, prefix]) => blocked.addSubnet(net4, prefix, "ipv4"));
+[
+  ["::", 128], ["::1", 128], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]
+].forEach(([net6, prefix]) => blocked.addSubnet(net6, prefix, "ipv6"));
+
+export function isPrivateAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return isPrivateAddress(mapped[1]);
+  const family = net.isIP(address);
+  if (!family) return false;
+  return blocked.check(address, family === 4 ? "ipv4" : "ipv6");
+}
+
+// dns.lookup that refuses private addresses, used by the sockets themselves
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const bad = addresses.find(a => isPrivateAddress(a.address));
+    if (bad) return callback(new Error(`webhook host ${hostname} resolves to a private address`));
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const publicAgents = {
+  "http:": new http.Agent({ lookup: publicLookup }),
+  "https:": new https.Agent({ lookup: publicLookup })
+};
+
+/**
+ * POST the new slots as JSON to `target.url`. Each delivery is aborted
+ * after `timeoutMs`, so an endpoint that never answers can't hold up
+ * the watch scheduler. `allowPrivate` is for tests against local servers.
+ */
+export function createWebhookNotifier({ timeoutMs = 10000, allowPrivate = false } = {}) {
+  return {
+    id: "webhook",
+    validate(target) {
+      let u;
+      try {
+        u = new URL(target.url);
+      } catch (err) {
+        return "webhook url is invalid";
+      }
+      if (u.protocol !== "https:" && u.protocol !== "http:") return "webhook url must be http(s)";
+      const host = u.hostname.replace(/^\[|\]$/g, "");
+      if (!allowPrivate && (host === "localhost" || host.endsWith(".localhost") || isPrivateAddress(host))) {
+        return "webhook url must point at a public host";
+      }
+      return null;
+    },
+    clean(target) {
+      return { type: "webhook", url: target.url };
+    },
+    async send(target, payload) {
+      const invalid = this.validate(target);
+      if (invalid) throw new Error(invalid);
+
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeoutMs);
+      try {
+        const res = await fetch(target.url, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(payload),
+          signal: controller.signal,
+          redirect: "manual",
+          agent: allowPrivate ? undefined : url => publicAgents[url.protocol]
+        });
+        if (!res.ok) {
+          throw new Error(`webhook returned HTTP ${res.status}`);
+        }
+        await res.arrayBuffer();
+      } catch (err) {
+        if (err.name === "AbortError") throw new Error(`webhook timed out after ${timeoutMs} ms`);
+        throw err;
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+  };
+}
+
+export const webhookNotifier = createWebhookNotifier({
+  timeoutMs: Number(process.env.WEBHOOK_TIMEOUT_MS) || 10000
+});
@@ -0,0 +1,43 @@
+// backend/notifiers/webpush.js
+import webpush from "web-push";
+
+const { VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY } = process.env;
+const VAPID_SUBJECT = process.env.VAPID_SUBJECT || "mailto:hello@teeradar.com.au";
+
+const configured = Boolean(VAPID_PUBLIC_KEY && VAPID_PRIVATE_KEY);
+if (configured) {
+  webpush.setVapidDetails(VAPID_SUBJECT, VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY);
+}
+
+export function vapidPublicKey() {
+  return configured ? VAPID_PUBLIC_KEY : null;
+}
+
+/**
+ * Web Push via the browser PushSubscription saved by book.html. The
+ * service worker turns the payload into a notification.
+ */
+export const webpushNotifier = {
+  id: "webpush",
+  validate(target) {
+    if (!configured) return "web push is not configured on this server";
+    const sub = target.subscription;
+    if (!sub || !sub.endpoint || !sub.keys?.p256dh || !sub.keys?.auth) return "push subscription is missing";
+    return null;
+  },
+  clean({ subscription: { endpoint, keys } }) {
+    return { type: "webpush", subscription: { endpoint, keys: { p256dh: keys.p256dh, auth: keys.auth } } };
+  },
+  async send(target, payload) {
+    const first = payload.slots[0];
+    const more = payload.slots.length > 1 ? ` (+${payload.slots.length - 1} more)` : "";
+    await webpush.sendNotification(
+      target.subscription,
+      JSON.stringify({
+        title: "Tee time available",
+        body: `${first.name} ${first.date} ${first.time} · ${first.spots} spot(s)${more}`,
+        url: first.url
+      })
+    );
+  }
+};
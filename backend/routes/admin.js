@@ -0,0 +1,75 @@
+// backend/routes/admin.js
+import express from "express";
+import { listUsers, findUserById, publicUser, setRole, accountStats, ROLES } from "../services/auth.js";
+import { startMembership, clearMembership } from "../services/profiles.js";
+import { metricsSummary } from "../services/metrics.js";
+import { availabilityCache } from "../services/availabilityCache.js";
+import { httpClient } from "../scrapers/httpClient.js";
+import { issueApiKey, listApiKeys, revokeApiKey } from "../services/apiKeys.js";
+import { requireRole } from "../middleware/auth.js";
+
+/**
+ * /api/admin — admin-only account management, site stats and keys
+ * for the public /api/v1.
+ */
+export function createAdminRouter({ courses }) {
+  const router = express.Router();
+  router.use(requireRole("admin"));
+
+  router.get("/users", (req, res) => {
+    res.json({ users: listUsers() });
+  });
+
+  router.patch("/users/:id", (req, res) => {
+    const { role } = req.body || {};
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `role must be one of ${ROLES.join(", ")}` });
+    }
+    const user = setRole(req.params.id, role);
+    if (!user) return res.status(404).json({ error: "user not found" });
+    // A role set by hand outranks whatever plan was on record
+    clearMembership(user.id);
+    res.json({ user });
+  });
+
+  // POST /api/admin/users/:id/membership { plan } — comp or fix up a membership
+  router.post("/users/:id/membership", (req, res) => {
+    const target = publicUser(findUserById(req.params.id));
+    if (!target) return res.status(404).json({ error: "user not found" });
+    const { membership, user, error } = startMembership(target, (req.body || {}).plan);
+    if (error) return res.status(400).json({ error });
+    res.json({ membership, user });
+  });
+
+  // GET /api/admin/stats?days=14
+  router.get("/stats", (req, res) => {
+    const days = Math.min(Math.max(Number(req.query.days) || 14, 1), 90);
+    res.json({
+      generatedAt: new Date().toISOString(),
+      accounts: accountStats(),
+      ...metricsSummary(courses, { days }),
+      cache: availabilityCache.inspect().stats,
+      upstream: httpClient.inspect()
+    });
+  });
+
+  router.get("/api-keys", (req, res) => {
+    res.json({ apiKeys: listApiKeys() });
+  });
+
+  // POST /api/admin/api-keys { name, ratePerMinute } -> the key, shown only this once
+  router.post("/api-keys", (req, res) => {
+    const { name, ratePerMinute } = req.body || {};
+    const { apiKey, key, error } = issueApiKey({ name, ratePerMinute, createdBy: req.user.id });
+    if (error) return res.status(400).json({ error });
+    res.status(201).json({ apiKey, key });
+  });
+
+  router.delete("/api-keys/:id", (req, res) => {
+    const apiKey = revokeApiKey(req.params.id);
+    if (!apiKey) return res.status(404).json({ error: "api key not found" });
+    res.json({ apiKey });
+  });
+
+  return router;
+}
@@ -0,0 +1,105 @@
+// backend/routes/auth.js
+import express from "express";
+import {
+  createUser,
+  authenticate,
+  createSession,
+  destroySession,
+  createResetToken,
+  resetPassword
+} from "../services/auth.js";
+import {
+  sessionToken,
+  setSessionCookie,
+  clearSessionCookie
+} from "../middleware/auth.js";
+import { sendMail } from "../notifiers/mail.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+
+// Signups, logins and reset requests together, per address
+const AUTH_PER_HOUR = Number(process.env.AUTH_RATE_PER_HOUR) || 30;
+
+/**
+ * Account routes used by login.html and reset-password.html:
+ * /api/signup, /api/login, /api/logout, /api/forgot-password, ...
+ *
+ * Reset links point at PUBLIC_URL; without it /forgot-password answers
+ * 503 rather than trust the request's Host header.
+ */
+export function createAuthRouter() {
+  const router = express.Router();
+
+  const authLimit = rateLimit({
+    max: AUTH_PER_HOUR,
+    windowMs: 60 * 60 * 1000,
+    message: "too many attempts from this address, try again later"
+  });
+
+  router.post("/signup", authLimit, async (req, res) => {
+    const { email, password, name } = req.body || {};
+    try {
+      const { user, error } = await createUser({ email, password, name });
+      if (error) return res.status(400).json({ error });
+
+      setSessionCookie(res, createSession(user.id));
+      res.status(201).json({ user });
+    } catch (err) {
+      console.error("signup error", err);
+      res.status(500).json({ error: "internal error" });
+    }
+  });
+
+  router.post("/login", authLimit, async (req, res) => {
+    const { email, password } = req.body || {};
+    try {
+      const user = await authenticate(email, password);
+      if (!user) return res.status(401).json({ error: "incorrect email or password" });
+
+      setSessionCookie(res, createSession(user.id));
+      res.json({ user });
+    } catch (err) {
+      console.error("login error", err);
+      res.status(500).json({ error: "internal error" });
+    }
+  });
+
+  router.post("/logout", (req, res) => {
+    destroySession(sessionToken(req));
+    clearSessionCookie(res);
+    res.json({ ok: true });
+  });
+
+  // The response is the same whether or not the account exists.
+  router.post("/forgot-password", authLimit, (req, res) => {
+    const base = (process.env.PUBLIC_URL || "").replace(/\/+$/, "");
+    if (!base) return res.status(503).json({ error: "password reset is not set up on this server" });
+
+    const { email } = req.body || {};
+    if (!email) return res.status(400).json({ error: "email is required" });
+
+    const token = createResetToken(email);
+    if (token) {
+      sendMail({
+        to: email,
+        subject: "Reset your TeeRadar password",
+        text: `Reset your password within the hour: ${base}/reset-password.html?token=${token}\n\n` +
+          "If you didn't ask for this, ignore this email."
+      }).catch(err => console.warn("password reset mail failed:", err.message));
+    }
+    res.json({ ok: true });
+  });
+
+  router.post("/reset-password", async (req, res) => {
+    const { token, newPassword } = req.body || {};
+    try {
+      const { error } = await resetPassword(token, newPassword);
+      if (error) return res.status(400).json({ error });
+      res.json({ ok: true });
+    } catch (err) {
+      console.error("reset password error", err);
+      res.status(500).json({ error: "internal error" });
+    }
+  });
+
+  return router;
+}
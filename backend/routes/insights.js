@@ -0,0 +1,71 @@
+// backend/routes/insights.js
+import express from "express";
+import { courseInsights, WEEKDAYS } from "../services/insights.js";
+import { RETENTION_DAYS } from "../services/snapshots.js";
+import { requireRole } from "../middleware/auth.js";
+
+const TIME = /^\d{2}:\d{2}$/;
+
+/**
+ * Read and check the query. Returns { options } or { error }.
+ */
+function readQuery(query) {
+  const options = {};
+
+  if (query.weekday) {
+    options.weekday = String(query.weekday).slice(0, 3).toLowerCase();
+    if (!WEEKDAYS.includes(options.weekday)) {
+      return { error: `weekday must be one of ${WEEKDAYS.join(", ")}` };
+    }
+  }
+
+  for (const key of ["earliest", "latest"]) {
+    if (query[key] === undefined) continue;
+    if (!TIME.test(query[key])) return { error: `${key} must be HH:MM` };
+    options[key] = query[key];
+  }
+
+  if (query.partySize !== undefined) {
+    options.partySize = Number(query.partySize);
+    if (!Number.isInteger(options.partySize) || options.partySize < 1 || options.partySize > 4) {
+      return { error: "partySize must be 1 to 4" };
+    }
+  }
+
+  if (query.days !== undefined) {
+    options.days = Number(query.days);
+    if (!Number.isInteger(options.days) || options.days < 1 || options.days > RETENTION_DAYS) {
+      return { error: `days must be 1 to ${RETENTION_DAYS}` };
+    }
+  }
+
+  return { options };
+}
+
+/**
+ * /api/insights — "best time to book" stats from stored snapshots.
+ * A member feature, like alerts.
+ *
+ *   GET /api/insights/:courseId?weekday=sat&earliest=07:00&latest=10:00&partySize=4&days=90
+ */
+export function createInsightsRouter({ courses }) {
+  const router = express.Router();
+  router.use(requireRole("member"));
+
+  router.get("/:courseId", async (req, res) => {
+    const course = courses.find(c => c.id === req.params.courseId);
+    if (!course) return res.status(404).json({ error: "course not found" });
+
+    const { options, error } = readQuery(req.query);
+    if (error) return res.status(400).json({ error });
+
+    try {
+      res.json({ name: course.name, ...(await courseInsights(course.id, options)) });
+    } catch (err) {
+      console.error("insights error", err);
+      res.status(500).json({ error: "internal error" });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,52 @@
+// backend/routes/me.js
+import express from "express";
+import {
+  getProfile,
+  updateProfile,
+  addFavourite,
+  removeFavourite,
+  cancelMembership
+} from "../services/profiles.js";
+import { requireAuth } from "../middleware/auth.js";
+
+/**
+ * /api/me — the signed-in user's account, profile, favourites and
+ * membership. Replaces the teeradar_profile / teeradar_home_course /
+ * teeradar_member localStorage keys. Members can cancel here; an admin
+ * starts memberships (routes/admin.js).
+ */
+export function createMeRouter() {
+  const router = express.Router();
+  router.use(requireAuth);
+
+  router.get("/", (req, res) => {
+    res.json({ user: req.user, profile: getProfile(req.user.id) });
+  });
+
+  router.put("/profile", (req, res) => {
+    const { profile, error } = updateProfile(req.user.id, req.body || {});
+    if (error) return res.status(400).json({ error });
+    res.json({ profile });
+  });
+
+  router.post("/favourites", (req, res) => {
+    const { course } = req.body || {};
+    if (!course) return res.status(400).json({ error: "course is required" });
+    const { profile, error } = addFavourite(req.user.id, course);
+    if (error) return res.status(400).json({ error });
+    res.json({ favourites: profile.favourites });
+  });
+
+  router.delete("/favourites/:course", (req, res) => {
+    const { profile } = removeFavourite(req.user.id, req.params.course);
+    res.json({ favourites: profile.favourites });
+  });
+
+  router.delete("/membership", (req, res) => {
+    const { membership, user, error } = cancelMembership(req.user);
+    if (error) return res.status(400).json({ error });
+    res.json({ membership, user });
+  });
+
+  return router;
+}
@@ -0,0 +1,250 @@
+// backend/routes/openapi.js
+import { SORTS, MAX_SEARCH_DATES, MAX_RANGE_DAYS } from "../services/search.js";
+import { RATE_CATEGORIES } from "../scrapers/prices.js";
+import { API_KEY_HEADER } from "../middleware/apiKey.js";
+
+/**
+ * OpenAPI 3 description of /api/v1, served at /api/v1/openapi.json.
+ * Keep it in step with routes/v1.js.
+ */
+const COURSE_STATUSES = [
+  "ok", "no-availability", "fetch-error", "http-status", "parse-error",
+  "skipped", "unsupported", "phone-only"
+];
+
+const error = description => ({
+  description,
+  content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } }
+});
+
+const json = (description, ref) => ({
+  description,
+  content: { "application/json": { schema: { $ref: `#/components/schemas/${ref}` } } }
+});
+
+const query = (name, description, schema, extra = {}) => ({ name, in: "query", description, schema, ...extra });
+
+const TIME = { type: "string", pattern: "^([01]\\d|2[0-3]):[0-5]\\d$", example: "07:30" };
+const DATE = { type: "string", format: "date", example: "2026-10-24" };
+
+const KEYED = {
+  401: error(`Missing or unknown ${API_KEY_HEADER}`),
+  429: error("Rate limit for the key exceeded; see Retry-After")
+};
+
+export const openApiDocument = {
+  openapi: "3.0.3",
+  info: {
+    title: "TeeRadar WA API",
+    version: "1.0.0",
+    description:
+      "Live public tee-time availability across Perth and WA golf courses. " +
+      `Every endpoint except this document needs an API key in the ${API_KEY_HEADER} header. ` +
+      "Keys are rate limited per minute; X-RateLimit-Limit, X-RateLimit-Remaining and " +
+      "X-RateLimit-Reset (seconds) come back on every response. Times are Perth local time."
+  },
+  servers: [{ url: "/api/v1" }],
+  security: [{ ApiKey: [] }],
+  paths: {
+    "/courses": {
+      get: {
+        summary: "List courses in the catalogue",
+        parameters: [
+          query("region", "Comma-separated regions, e.g. north,south", { type: "string" }),
+          query("provider", "Comma-separated booking providers, e.g. miclub", { type: "string" }),
+          query("club", "Comma-separated club ids", { type: "string" })
+        ],
+        responses: {
+          200: {
+            description: "Matching courses",
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: { courses: { type: "array", items: { $ref: "#/components/schemas/Course" } } }
+                }
+              }
+            }
+          },
+          ...KEYED
+        }
+      }
+    },
+    "/courses/{id}": {
+      get: {
+        summary: "One course",
+        parameters: [{ name: "id", in: "path", required: true, schema: { type: "string" }, example: "whaleback-18" }],
+        responses: {
+          200: {
+            description: "The course",
+            content: {
+              "application/json": {
+                schema: { type: "object", properties: { course: { $ref: "#/components/schemas/Course" } } }
+              }
+            }
+          },
+          404: error("No such course"),
+          ...KEYED
+        }
+      }
+    },
+    "/search": {
+      get: {
+        summary: "Search live tee times",
+        description:
+          "Give `date`, `dates` or a `dateFrom`/`dateTo` range (optionally narrowed by `weekdays`). " +
+          `A search covers at most ${MAX_SEARCH_DATES} dates and a range at most ${MAX_RANGE_DAYS} days. ` +
+          "List parameters take comma-separated values or repeat the parameter.",
+        parameters: [
+          query("date", "Play date (YYYY-MM-DD)", DATE),
+          query("dates", "Comma-separated play dates", { type: "string", example: "2026-10-24,2026-10-25" }),
+          query("dateFrom", "Start of a date range", DATE),
+          query("dateTo", "End of a date range (inclusive)", DATE),
+          query("weekdays", "Weekdays to keep from the range", { type: "string", example: "sat,sun" }),
+          query("earliest", "Earliest tee time (HH:MM, 24-hour)", { ...TIME, default: "06:00" }),
+          query("latest", "Latest tee time (HH:MM, 24-hour)", { ...TIME, default: "17:00" }),
+          query("partySize", "Players who need a spot on the same tee time", { type: "integer", minimum: 1, maximum: 4, default: 1 }),
+          query("holes", "Only 9 or 18 hole courses", { type: "integer", enum: [9, 18] }),
+          query("courses", "Comma-separated course ids; default all", { type: "string", example: "whaleback-18,hamersley-18" }),
+          query("maxPrice", "Highest per-player price in AUD; unpriced tee times are kept", { type: "number", exclusiveMinimum: true, minimum: 0 }),
+          query("lat", "Latitude to measure distance from", { type: "number" }),
+          query("lng", "Longitude to measure distance from", { type: "number" }),
+          query("maxDistanceKm", "Only courses within this distance (needs lat and lng)", { type: "number" }),
+          query("sort", "Result order; distance needs lat and lng", { type: "string", enum: SORTS, default: "time" })
+        ],
+        responses: {
+          200: json("Matching tee times and how each course check went", "SearchResult"),
+          400: error("Invalid parameters, e.g. a bad date or time"),
+          ...KEYED
+        }
+      }
+    },
+    "/slots/{id}": {
+      get: {
+        summary: "Check one tee time is still available",
+        parameters: [{
+          name: "id",
+          in: "path",
+          required: true,
+          description: "Slot id from a search result: courseId.YYYYMMDD.HHMM, with -2, -3, ... for later rows at the same minute",
+          schema: { type: "string" },
+          example: "whaleback-18.20261024.0746"
+        }],
+        responses: {
+          200: {
+            description: "The tee time as it is on the course sheet now",
+            content: {
+              "application/json": {
+                schema: { type: "object", properties: { slot: { $ref: "#/components/schemas/Slot" } } }
+              }
+            }
+          },
+          404: error("Unknown slot, or the tee time has gone"),
+          502: error("The course's booking site couldn't be checked"),
+          ...KEYED
+        }
+      }
+    },
+    "/openapi.json": {
+      get: {
+        summary: "This document",
+        security: [],
+        responses: { 200: { description: "OpenAPI document" } }
+      }
+    }
+  },
+  components: {
+    securitySchemes: {
+      ApiKey: { type: "apiKey", in: "header", name: API_KEY_HEADER }
+    },
+    schemas: {
+      Error: {
+        type: "object",
+        required: ["error"],
+        properties: { error: { type: "string", example: 'invalid date "2026-13-01", expected YYYY-MM-DD' } }
+      },
+      Course: {
+        type: "object",
+        required: ["id", "name", "support"],
+        properties: {
+          id: { type: "string", example: "whaleback-18" },
+          name: { type: "string" },
+          club: { type: "string", nullable: true },
+          region: { type: "string", nullable: true },
+          holes: { type: "integer", nullable: true, enum: [9, 18] },
+          provider: { type: "string", nullable: true, example: "miclub" },
+          support: {
+            type: "string",
+            enum: ["live", "phone", "unsupported"],
+            description: "live: searched online; phone: bookings by phone only; unsupported: no live checks yet"
+          },
+          lat: { type: "number", nullable: true },
+          lng: { type: "number", nullable: true },
+          phone: { type: "string", nullable: true }
+        }
+      },
+      Price: {
+        type: "object",
+        properties: {
+          amount: { type: "number" },
+          currency: { type: "string", example: "AUD" },
+          category: { type: "string", enum: RATE_CATEGORIES },
+          label: { type: "string", nullable: true },
+          players: { type: "integer", description: "Players the amount covers" },
+          holes: { type: "integer", nullable: true, enum: [9, 18], description: "Holes the rate is for, when the course lists it" }
+        }
+      },
+      Slot: {
+        type: "object",
+        required: ["id", "courseId", "date", "time", "spots"],
+        properties: {
+          id: { type: "string", example: "whaleback-18.20261024.0746" },
+          courseId: { type: "string" },
+          course: { type: "string", description: "Course name" },
+          date: DATE,
+          time: TIME,
+          spots: { type: "integer", minimum: 0, maximum: 4 },
+          price: { type: "number", nullable: true, description: "Cheapest per-player rate open to the public" },
+          priceCategory: { type: "string", nullable: true, enum: [...RATE_CATEGORIES, null] },
+          prices: { type: "array", items: { $ref: "#/components/schemas/Price" } },
+          distanceKm: { type: "number", nullable: true },
+          bookingUrl: { type: "string", nullable: true },
+          fetchedAt: { type: "string", format: "date-time", nullable: true }
+        }
+      },
+      CourseStatus: {
+        type: "object",
+        properties: {
+          courseId: { type: "string" },
+          date: DATE,
+          status: { type: "string", enum: COURSE_STATUSES },
+          message: { type: "string", nullable: true }
+        }
+      },
+      SearchResult: {
+        type: "object",
+        properties: {
+          dates: { type: "array", items: DATE },
+          count: { type: "integer" },
+          slots: { type: "array", items: { $ref: "#/components/schemas/Slot" } },
+          cheapest: {
+            type: "array",
+            description: "Cheapest priced tee time per course",
+            items: {
+              type: "object",
+              properties: {
+                courseId: { type: "string" },
+                date: DATE,
+                time: TIME,
+                price: { type: "number" },
+                priceCategory: { type: "string", nullable: true },
+                bookingUrl: { type: "string", nullable: true }
+              }
+            }
+          },
+          status: { type: "array", items: { $ref: "#/components/schemas/CourseStatus" } }
+        }
+      }
+    }
+  }
+};
@@ -0,0 +1,75 @@
+// backend/routes/slots.js
+import express from "express";
+import { parseSlotId, resolveCourseForSearch, buildCourseUrl } from "../scrapers/scrapeCourse.js";
+import { fillTemplate } from "../scrapers/helpers.js";
+import { slotCalendar } from "../services/calendar.js";
+import { createShare, getShare } from "../services/shares.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+
+// Share links need no account, so each visitor gets a modest allowance
+const SHARES_PER_HOUR = Number(process.env.SHARE_RATE_PER_HOUR) || 60;
+
+/**
+ * Public page for a course on a date: the catalogue's public template
+ * when there is one, otherwise the (date and fee group specific) sheet.
+ */
+function bookingPage(course, date) {
+  const resolved = resolveCourseForSearch(course, { date }) || course;
+  return (
+    fillTemplate(resolved.publicBookingTemplate, { date, feeGroupId: resolved.feeGroupId }) ||
+    buildCourseUrl(resolved, date) ||
+    course.calendarUrl ||
+    null
+  );
+}
+
+/**
+ * Exporting and sharing tee times from search results:
+ *   GET  /api/slots/:id/calendar.ics?players=4
+ *   POST /api/share        { ...criteria, slotId } -> { code, url }
+ *   GET  /api/share/:code  -> { criteria, slotId }
+ */
+export function createSlotRouter({ courses }) {
+  const router = express.Router();
+
+  router.get("/slots/:id/calendar.ics", (req, res) => {
+    const slot = parseSlotId(req.params.id);
+    const course = slot && courses.find(c => c.id === slot.courseId);
+    if (!course) return res.status(404).json({ error: "slot not found" });
+
+    const players = Number(req.query.players);
+    const ics = slotCalendar(course, { ...slot, id: req.params.id }, {
+      url: bookingPage(course, slot.date),
+      players: players >= 1 && players <= 4 ? players : null
+    });
+
+    res
+      .type("text/calendar; charset=utf-8")
+      .attachment(`teeradar-${req.params.id}.ics`)
+      .send(ics);
+  });
+
+  const shareLimit = rateLimit({
+    max: SHARES_PER_HOUR,
+    windowMs: 60 * 60 * 1000,
+    message: "too many share links from this address, try again later"
+  });
+
+  router.post("/share", shareLimit, (req, res) => {
+    const slot = parseSlotId((req.body || {}).slotId);
+    if (slot && !courses.some(c => c.id === slot.courseId)) {
+      return res.status(400).json({ error: "unknown course in slotId" });
+    }
+    const { share, error } = createShare(req.body || {});
+    if (error) return res.status(400).json({ error });
+    res.status(201).json({ code: share.code, url: `/s/${share.code}` });
+  });
+
+  router.get("/share/:code", (req, res) => {
+    const share = getShare(req.params.code);
+    if (!share) return res.status(404).json({ error: "share link not found or expired" });
+    res.json({ criteria: share.criteria, slotId: share.slotId, createdAt: share.createdAt });
+  });
+
+  return router;
+}
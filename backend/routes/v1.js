@@ -0,0 +1,202 @@
+// backend/routes/v1.js
+import express from "express";
+import cors from "cors";
+import { normaliseCriteria, runSearch } from "../services/search.js";
+import { filterCatalogue } from "../services/catalogue.js";
+import { recordSearch } from "../services/metrics.js";
+import { parseSlotId } from "../scrapers/scrapeCourse.js";
+import { requireApiKey } from "../middleware/apiKey.js";
+import { openApiDocument } from "./openapi.js";
+
+/**
+ * /api/v1 — the public, versioned JSON API for bots and newsletters.
+ * Every endpoint but /openapi.json needs an X-API-Key. Responses use
+ * the documented shapes below rather than the internal slot objects,
+ * so internal changes don't break clients.
+ *
+ *   GET /api/v1/openapi.json
+ *   GET /api/v1/courses?region=&provider=&club=
+ *   GET /api/v1/courses/:id
+ *   GET /api/v1/search?date=2026-10-24&earliest=06:00&latest=10:00&partySize=2
+ *   GET /api/v1/slots/:id
+ */
+
+const FAILED = ["fetch-error", "http-status", "parse-error"];
+
+// Query parameter -> normaliseCriteria field
+const SEARCH_PARAMS = {
+  date: "date",
+  dates: "dates",
+  dateFrom: "dateFrom",
+  dateTo: "dateTo",
+  weekdays: "weekdays",
+  earliest: "earliest",
+  latest: "latest",
+  holes: "holes",
+  partySize: "partySize",
+  courses: "courses",
+  maxPrice: "maxPrice",
+  lat: "originLat",
+  lng: "originLng",
+  maxDistanceKm: "maxDistanceKm",
+  sort: "sort"
+};
+
+/**
+ * Search query string -> normaliseCriteria input. Repeated parameters
+ * and comma-separated values both give lists. Returns { input } or { error }.
+ */
+function readSearchQuery(query) {
+  const input = {};
+  for (const [param, value] of Object.entries(query)) {
+    const field = SEARCH_PARAMS[param];
+    if (!field) return { error: `unknown parameter "${param}"` };
+    const values = Array.isArray(value) ? value : [value];
+    if (values.some(v => typeof v !== "string")) {
+      return { error: `parameter "${param}" must be a plain value` };
+    }
+    if (field === "courses") {
+      input.courses = values.flatMap(v => v.split(",")).map(v => v.trim()).filter(Boolean);
+    } else if (["date", "dates", "weekdays"].includes(field)) {
+      input[field] = values.join(",");
+    } else if (values.length > 1) {
+      return { error: `parameter "${param}" can only be given once` };
+    } else {
+      input[field] = values[0];
+    }
+  }
+  return { input };
+}
+
+function publicCourse(c) {
+  return {
+    id: c.id,
+    name: c.name,
+    club: c.club || null,
+    region: c.region || null,
+    holes: c.holes || null,
+    provider: c.provider || null,
+    support: c.support,
+    lat: c.locationUnknown ? null : c.lat,
+    lng: c.locationUnknown ? null : c.lng,
+    phone: c.phone || null
+  };
+}
+
+function publicSlot(s) {
+  return {
+    id: s.id,
+    courseId: s.courseId,
+    course: s.name,
+    date: s.date,
+    time: s.time,
+    spots: s.spots,
+    price: typeof s.price === "number" ? s.price : null,
+    priceCategory: s.priceCategory || null,
+    prices: s.prices || [],
+    distanceKm: typeof s.distanceKm === "number" ? s.distanceKm : null,
+    bookingUrl: s.url || null,
+    fetchedAt: s.fetchedAt || null
+  };
+}
+
+function publicStatus(st) {
+  return {
+    courseId: st.courseId,
+    date: st.date,
+    status: st.status,
+    message: st.message || null
+  };
+}
+
+export function createV1Router({ courses }) {
+  const router = express.Router();
+
+  // Key-authenticated and cookie-free, so any origin may call it
+  router.use(cors());
+
+  router.get("/openapi.json", (req, res) => {
+    res.json(openApiDocument);
+  });
+
+  router.use(requireApiKey);
+
+  router.get("/courses", (req, res) => {
+    res.json({ courses: filterCatalogue(courses, req.query).map(publicCourse) });
+  });
+
+  router.get("/courses/:id", (req, res) => {
+    const course = courses.find(c => c.id === req.params.id);
+    if (!course) return res.status(404).json({ error: "course not found" });
+    res.json({ course: publicCourse(course) });
+  });
+
+  router.get("/search", async (req, res) => {
+    const { input, error: queryError } = readSearchQuery(req.query);
+    if (queryError) return res.status(400).json({ error: queryError });
+
+    const { criteria, error } = normaliseCriteria(input);
+    if (error) return res.status(400).json({ error });
+    const unknown = criteria.courses.find(id => !courses.some(c => c.id === id));
+    if (unknown) return res.status(400).json({ error: `unknown course "${unknown}"` });
+
+    try {
+      recordSearch();
+      const { slots, cheapest, status } = await runSearch(courses, criteria);
+      res.json({
+        dates: criteria.dates,
+        count: slots.length,
+        slots: slots.map(publicSlot),
+        cheapest: cheapest.map(c => ({
+          courseId: c.courseId,
+          date: c.date,
+          time: c.time,
+          price: c.price,
+          priceCategory: c.priceCategory || null,
+          bookingUrl: c.url || null
+        })),
+        status: status.map(publicStatus)
+      });
+    } catch (err) {
+      console.error("v1 search error", err);
+      res.status(500).json({ error: "internal error" });
+    }
+  });
+
+  // Live check of one tee time from a search result
+  router.get("/slots/:id", async (req, res) => {
+    const slot = parseSlotId(req.params.id);
+    const course = slot && courses.find(c => c.id === slot.courseId);
+    if (!course) return res.status(404).json({ error: "slot not found" });
+
+    const { criteria, error } = normaliseCriteria({
+      date: slot.date,
+      earliest: slot.time,
+      latest: slot.time,
+      courses: [course.id]
+    });
+    if (error) return res.status(400).json({ error });
+
+    try {
+      const { slots, status } = await runSearch(courses, criteria);
+      const found = slots.find(s => s.id === req.params.id);
+      if (!found) {
+        const failed = status.find(st => FAILED.includes(st.status));
+        if (failed) {
+          return res.status(502).json({ error: `couldn't check ${course.name}: ${failed.message || failed.status}` });
+        }
+        return res.status(404).json({ error: "tee time is no longer available" });
+      }
+      res.json({ slot: publicSlot(found) });
+    } catch (err) {
+      console.error("v1 slot error", err);
+      res.status(500).json({ error: "internal error" });
+    }
+  });
+
+  router.use((req, res) => {
+    res.status(404).json({ error: "no such endpoint; see /api/v1/openapi.json" });
+  });
+
+  return router;
+}
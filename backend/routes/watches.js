@@ -0,0 +1,71 @@
+// backend/routes/watches.js
+import express from "express";
+import {
+  listWatches,
+  getWatch,
+  createWatch,
+  deleteWatch,
+  runWatch
+} from "../services/watches.js";
+import { vapidPublicKey } from "../notifiers/webpush.js";
+import { requireRole } from "../middleware/auth.js";
+
+/**
+ * Admins can see and manage everyone's watches; members only their own.
+ */
+function ownerScope(req) {
+  return req.user.role === "admin" ? null : req.user.id;
+}
+
+/**
+ * /api/watches — saved searches that alert when a slot opens.
+ * Alerts are a member feature.
+ */
+export function createWatchRouter({ courses }) {
+  const router = express.Router();
+
+  router.get("/vapid-public-key", (req, res) => {
+    res.json({ key: vapidPublicKey() });
+  });
+
+  router.use(requireRole("member"));
+
+  router.get("/", (req, res) => {
+    res.json({ watches: listWatches(ownerScope(req)) });
+  });
+
+  router.post("/", (req, res) => {
+    const { watch, error } = createWatch(req.body || {}, req.user.id);
+    if (error) return res.status(400).json({ error });
+    res.status(201).json({ watch });
+  });
+
+  router.get("/:id", (req, res) => {
+    const watch = getWatch(req.params.id, ownerScope(req));
+    if (!watch) return res.status(404).json({ error: "watch not found" });
+    res.json({ watch });
+  });
+
+  // Run now instead of waiting for the scheduler
+  router.post("/:id/run", async (req, res) => {
+    if (!getWatch(req.params.id, ownerScope(req))) {
+      return res.status(404).json({ error: "watch not found" });
+    }
+    try {
+      const fresh = await runWatch(req.params.id, courses);
+      res.json({ newSlots: fresh, watch: getWatch(req.params.id) });
+    } catch (err) {
+      console.error("watch run error", err);
+      res.status(500).json({ error: "internal error", detail: err.message });
+    }
+  });
+
+  router.delete("/:id", (req, res) => {
+    if (!deleteWatch(req.params.id, ownerScope(req))) {
+      return res.status(404).json({ error: "watch not found" });
+    }
+    res.json({ ok: true });
+  });
+
+  return router;
+}
@@ -0,0 +1,107 @@
+// backend/scrapers/adapters/chronogolf.js
+import { ScrapeError } from "../errors.js";
+import { normaliseTimeTo24h, fillTemplate, todayInPerth, inWindow, fetchPage } from "../helpers.js";
+import { makePrice, priceFields } from "../prices.js";
+
+/**
+ * Chronogolf / Lightspeed Golf marketplace: date={date}
+ *
+ * The catalogue stores the marketplace tee time endpoint as
+ * `bookingTemplate`, e.g.
+ *   https://www.chronogolf.com/marketplace/clubs/1234/teetimes?date={date}&course_id=5678&nb_holes=18
+ * and, optionally, the public club page as `publicBookingTemplate` so
+ * users land on something human-readable rather than raw JSON.
+ */
+function buildUrl(course, date) {
+  return fillTemplate(course.bookingTemplate, { date: date || todayInPerth() });
+}
+
+function buildBookingUrl(course, date) {
+  return fillTemplate(course.publicBookingTemplate, { date: date || todayInPerth() });
+}
+
+function fetchTeeTimes(url) {
+  return fetchPage(url, { Accept: "application/json" });
+}
+
+/**
+ * SCRAPE: Chronogolf tee times JSON.
+ *
+ * The marketplace endpoint returns an array (or { teetimes: [...] }) of
+ * rows with `start_time`, `out_of_capacity` and a `green_fees` list.
+ * Spots come from an explicit free-slot field when present, otherwise
+ * from a 4-ball minus booked players.
+ */
+export function scrapeChronogolfTeeTimes(body, course, criteria, bookingUrlForDate) {
+  const { partySize } = criteria;
+  const maxGroupSize = 4;
+  const slots = [];
+
+  let data;
+  try {
+    data = JSON.parse(body);
+  } catch (err) {
+    throw new ScrapeError("parse-error", `Chronogolf: response for ${course.name} is not valid JSON (${err.message})`);
+  }
+
+  let teeTimesArray = null;
+  if (Array.isArray(data)) teeTimesArray = data;
+  else if (data && Array.isArray(data.teetimes)) teeTimesArray = data.teetimes;
+  else if (data && Array.isArray(data.tee_times)) teeTimesArray = data.tee_times;
+
+  if (!teeTimesArray) {
+    throw new ScrapeError("parse-error", `Chronogolf: unrecognised JSON structure for ${course.name}`);
+  }
+
+  teeTimesArray.forEach((row) => {
+    if (!row || row.out_of_capacity || row.frozen) return;
+
+    const time24 = normaliseTimeTo24h(String(row.start_time || row.time || ""));
+    if (!time24) return;
+
+    if (!inWindow(time24, criteria)) return;
+
+    const rawSpots = row.free_slots ?? row.available_slots ?? row.availableSpots;
+    let availableSpots = Number(rawSpots);
+    if (!Number.isFinite(availableSpots)) {
+      const booked = Number(row.booked_players ?? row.players_count ?? 0) || 0;
+      const capacity = Number(row.max_player_size) || maxGroupSize;
+      availableSpots = Math.max(0, capacity - booked);
+    }
+
+    if (availableSpots < partySize) return;
+
+    // One green fee per player, labelled by affiliation (Public, Member, ...)
+    const prices = (Array.isArray(row.green_fees) ? row.green_fees : []).map(fee =>
+      makePrice(fee.green_fee, fee.affiliation_type?.name || fee.name || "", 1)
+    );
+
+    const holes = course.holes || row.nb_holes || null;
+    slots.push({
+      name: course.name,
+      provider: course.provider || "chronogolf",
+      holes,
+      time: time24,
+      spots: availableSpots,
+      ...priceFields(prices, { holes }),
+      url: buildBookingUrl(course, criteria.date) || bookingUrlForDate,
+      lat: course.lat,
+      lng: course.lng
+    });
+  });
+
+  return slots;
+}
+
+export const chronogolfAdapter = {
+  id: "chronogolf",
+  label: "Chronogolf / Lightspeed",
+  capabilities: {
+    liveAvailability: true,
+    prices: true,
+    deepLink: true
+  },
+  buildUrl,
+  fetch: fetchTeeTimes,
+  parse: scrapeChronogolfTeeTimes
+};
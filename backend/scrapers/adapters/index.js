@@ -0,0 +1,52 @@
+// backend/scrapers/adapters/index.js
+import { miclubAdapter } from "./miclub.js";
+import { quick18Adapter } from "./quick18.js";
+import { chronogolfAdapter } from "./chronogolf.js";
+import { phoneAdapter } from "./phone.js";
+
+/**
+ * Provider adapter registry, keyed by the lowercased `provider` field in
+ * courses.json.
+ *
+ * An adapter looks like:
+ *   {
+ *     id, label,
+ *     capabilities: { liveAvailability, prices, deepLink },
+ *     buildUrl(course, date)      -> date-specific URL or null
+ *     fetch?(url, course)         -> Response (defaults to fetchPage)
+ *     parse(body, course, criteria, url) -> slots[]
+ *   }
+ */
+const registry = new Map();
+
+export function registerAdapter(key, adapter) {
+  registry.set(String(key).toLowerCase(), adapter);
+}
+
+registerAdapter("miclub", miclubAdapter);
+registerAdapter("quick18", quick18Adapter);
+registerAdapter("chronogolf", chronogolfAdapter);
+registerAdapter("lightspeed", chronogolfAdapter);
+registerAdapter("phone", phoneAdapter);
+registerAdapter("info", phoneAdapter);
+
+/**
+ * Look up the adapter for a course. Returns null for providers we
+ * don't know how to scrape (e.g. "Other").
+ */
+export function getAdapter(course) {
+  const provider = (course.provider || "").toLowerCase();
+  return registry.get(provider) || null;
+}
+
+/**
+ * How the frontend should treat a course:
+ *   "live"        - we can check availability
+ *   "phone"       - no online availability by design
+ *   "unsupported" - online booking exists but we have no adapter
+ */
+export function getCourseSupport(course) {
+  const adapter = getAdapter(course);
+  if (!adapter) return "unsupported";
+  return adapter.capabilities.liveAvailability ? "live" : "phone";
+}
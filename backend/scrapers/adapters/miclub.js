@@ -0,0 +1,80 @@
+// backend/scrapers/adapters/miclub.js
+import * as cheerio from "cheerio";
+import { normaliseTimeTo24h, fillTemplate, todayInPerth, inWindow } from "../helpers.js";
+import { parsePriceText, priceFields } from "../prices.js";
+
+/**
+ * MiClub public timesheet: selectedDate={date}&feeGroupId={feeGroupId}.
+ * The fee group is the one resolved for the date when there is one,
+ * otherwise the course's default.
+ */
+function buildUrl(course, date) {
+  return fillTemplate(course.bookingTemplate, {
+    date: date || todayInPerth(),
+    feeGroupId: course.feeGroupId
+  });
+}
+
+/**
+ * SCRAPE: MiClub timesheet (Whaleback, Collier, Wembley, Araluen, etc.).
+ *
+ * Uses .row-time blocks from the HTML:
+ *  - time from .time-wrapper h3
+ *  - count occurrences of "Taken" in that block
+ *  - group size = 4 → available = max(0, 4 - taken)
+ *  - only return rows with available >= partySize, and time in window
+ *  - every "$NN" in the block is a rate, labelled by the text before it
+ *    ("Visitor 18 Holes $45", "Senior $38")
+ *
+ * Holes come from course.holes in courses.json (manual, reliable).
+ */
+export function scrapeMiClubTimesheet(html, course, criteria, bookingUrlForDate) {
+  const { partySize } = criteria;
+  const maxGroupSize = 4;
+
+  const $ = cheerio.load(html);
+  const slots = [];
+
+  $(".row-time").each((_, rowEl) => {
+    const $row = $(rowEl);
+
+    const timeLabel = $row.find(".time-wrapper h3").first().text().trim();
+    const time24 = normaliseTimeTo24h(timeLabel);
+    if (!time24) return;
+
+    if (!inWindow(time24, criteria)) return;
+
+    const rowText = $row.text();
+    const takenCount = (rowText.match(/Taken/gi) || []).length;
+    const availableSpots = Math.max(0, maxGroupSize - takenCount);
+
+    if (availableSpots < partySize) return;
+
+    slots.push({
+      name: course.name,
+      provider: course.provider || "miclub",
+      holes: course.holes || null,
+      time: time24,
+      spots: availableSpots,
+      ...priceFields(parsePriceText(rowText), { holes: course.holes }),
+      // Date-specific URL, not the static example
+      url: bookingUrlForDate,
+      lat: course.lat,
+      lng: course.lng
+    });
+  });
+
+  return slots;
+}
+
+export const miclubAdapter = {
+  id: "miclub",
+  label: "MiClub",
+  capabilities: {
+    liveAvailability: true,
+    prices: true,
+    deepLink: true
+  },
+  buildUrl,
+  parse: scrapeMiClubTimesheet
+};
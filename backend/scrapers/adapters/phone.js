@@ -0,0 +1,16 @@
+// backend/scrapers/adapters/phone.js
+
+/**
+ * Phone/info-only courses: no scraping; just show them on map/list.
+ */
+export const phoneAdapter = {
+  id: "phone",
+  label: "Phone bookings",
+  capabilities: {
+    liveAvailability: false,
+    prices: false,
+    deepLink: false
+  },
+  buildUrl: () => null,
+  parse: () => []
+};
@@ -0,0 +1,140 @@
+// backend/scrapers/adapters/quick18.js
+import { ScrapeError } from "../errors.js";
+import { normaliseTimeTo24h, fillTemplate, todayInPerth, inWindow } from "../helpers.js";
+import { makePrice, priceFields } from "../prices.js";
+
+/**
+ * Quick18 search matrix: teedate={ymd}
+ */
+function buildUrl(course, date) {
+  return fillTemplate(course.bookingTemplate, { date: date || todayInPerth() });
+}
+
+/**
+ * Quick18 rates for one matrix row. Rows either carry a list of rates
+ *   rates / Rates / prices / fees: [{ name, price, players }]
+ * (field names vary by club setup) or a single green fee field.
+ */
+function quick18Prices(row) {
+  const rates = row.rates || row.Rates || row.prices || row.Prices || row.fees || row.Fees;
+  if (Array.isArray(rates)) {
+    return rates.map(r => makePrice(
+      r.price ?? r.Price ?? r.amount ?? r.Amount ?? r.fee ?? r.Fee,
+      r.name || r.Name || r.rateName || r.RateName || r.description || r.Description || "",
+      r.players ?? r.Players ?? r.numPlayers ?? r.NumPlayers ?? 1
+    ));
+  }
+
+  const single = row.price ?? row.Price ?? row.greenFee ?? row.GreenFee;
+  return [makePrice(single, row.rateName || row.RateName || "")];
+}
+
+/**
+ * SCRAPE: Quick18 matrix (Hamersley, The Springs / Armadale).
+ *
+ * This implementation assumes the /searchmatrix endpoint returns JSON or
+ * JSON-like text. If parsing fails or the structure is unknown, we
+ * throw a "parse-error" ScrapeError so the course is reported as broken
+ * rather than fully booked.
+ */
+export function scrapeQuick18Matrix(body, course, criteria, bookingUrlForDate) {
+  const { partySize } = criteria;
+  const maxGroupSize = 4;
+  const slots = [];
+
+  let data;
+  try {
+    data = JSON.parse(body);
+  } catch (err) {
+    throw new ScrapeError("parse-error", `Quick18: response for ${course.name} is not valid JSON (${err.message})`);
+  }
+
+  // Quick18 can come back in different shapes. We try a couple of common ones.
+
+  let teeTimesArray = null;
+
+  // Case 1: data is already an array
+  if (Array.isArray(data)) {
+    teeTimesArray = data;
+  }
+
+  // Case 2: object with a "teeTimes" or "matrix" array
+  if (!teeTimesArray && data && typeof data === "object") {
+    if (Array.isArray(data.teeTimes)) teeTimesArray = data.teeTimes;
+    else if (Array.isArray(data.matrix)) teeTimesArray = data.matrix;
+    else if (Array.isArray(data.rows)) teeTimesArray = data.rows;
+  }
+
+  if (!teeTimesArray) {
+    throw new ScrapeError("parse-error", `Quick18: unrecognised JSON structure for ${course.name}`);
+  }
+
+  teeTimesArray.forEach((row) => {
+    if (!row) return;
+
+    // Try to extract a time string from a likely field
+    const rawTime =
+      row.time ||
+      row.Time ||
+      row.StartTime ||
+      row.startTime ||
+      row.teeTime ||
+      row.tee_time;
+
+    const time24 = normaliseTimeTo24h(String(rawTime || ""));
+    if (!time24) return;
+
+    if (!inWindow(time24, criteria)) return;
+
+    // Try to get available spots from a likely field
+    const rawSpots =
+      row.availableSpots ??
+      row.AvailableSpots ??
+      row.spots ??
+      row.Spots ??
+      row.openSpots ??
+      row.OpenSpots;
+
+    let availableSpots = Number(rawSpots);
+    if (!Number.isFinite(availableSpots)) {
+      // If no explicit field, we fall back to a simple heuristic:
+      // Quick18 often uses groupSize (4) minus bookedCount.
+      const booked =
+        row.bookedCount ??
+        row.BookedCount ??
+        row.booked ??
+        row.Booked ??
+        0;
+      const used = Number(booked) || 0;
+      availableSpots = Math.max(0, maxGroupSize - used);
+    }
+
+    if (availableSpots < partySize) return;
+
+    slots.push({
+      name: course.name,
+      provider: course.provider || "quick18",
+      holes: course.holes || null,
+      time: time24,
+      spots: availableSpots,
+      ...priceFields(quick18Prices(row), { holes: course.holes }),
+      url: bookingUrlForDate,
+      lat: course.lat,
+      lng: course.lng
+    });
+  });
+
+  return slots;
+}
+
+export const quick18Adapter = {
+  id: "quick18",
+  label: "Quick18",
+  capabilities: {
+    liveAvailability: true,
+    prices: true,
+    deepLink: true
+  },
+  buildUrl,
+  parse: scrapeQuick18Matrix
+};
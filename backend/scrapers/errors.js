@@ -0,0 +1,18 @@
+// backend/scrapers/errors.js
+
+/**
+ * Error thrown while fetching or parsing a course timesheet.
+ *
+ * `code` is one of the per-course search statuses:
+ *   "fetch-error"  network failure / timeout
+ *   "http-status"  upstream answered with a non-2xx status
+ *   "parse-error"  body didn't look like anything we understand
+ */
+export class ScrapeError extends Error {
+  constructor(code, message, { httpStatus = null } = {}) {
+    super(message);
+    this.name = "ScrapeError";
+    this.code = code;
+    this.httpStatus = httpStatus;
+  }
+}
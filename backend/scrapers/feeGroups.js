@@ -0,0 +1,43 @@
+// backend/scrapers/feeGroups.js
+
+/**
+ * Saturday / Sunday for a YYYY-MM-DD string.
+ */
+export function isWeekend(date) {
+  if (!date) return false;
+  const day = new Date(date + "T00:00:00Z").getUTCDay();
+  return day === 0 || day === 6;
+}
+
+/**
+ * Resolve the MiClub feeGroupId for a course on a given date from its
+ * club's `feeGroups` in the catalogue.
+ *
+ * Variant keys:
+ *   "9" / "18"                  walking rate
+ *   "9_cart" / "18_cart"        rate including a cart
+ *   "9_weekend" / "18_weekend"  Saturday/Sunday rate
+ *
+ * Returns { key, id } or null when the club has no fee groups listed
+ * (we then keep the course's default feeGroupId).
+ */
+export function resolveFeeGroup(course, date) {
+  const groups = course.feeGroups || {};
+  if (!Object.keys(groups).length || !course.holes) return null;
+
+  const holes = String(course.holes);
+  const wantsCart = Boolean(course.cart);
+  const weekend = isWeekend(date);
+
+  const candidates = [];
+  if (weekend) candidates.push(`${holes}_weekend`);
+  if (wantsCart) candidates.push(`${holes}_cart`);
+  candidates.push(holes);
+  // Some clubs (Joondalup) only publish cart rates
+  if (!wantsCart) candidates.push(`${holes}_cart`);
+
+  for (const key of candidates) {
+    if (groups[key]) return { key, id: String(groups[key]) };
+  }
+  return null;
+}
@@ -0,0 +1,62 @@
+// backend/scrapers/helpers.js
+import { httpClient } from "./httpClient.js";
+
+/**
+ * Normalise something like "12:33 pm" -> "12:33" (24h).
+ */
+export function normaliseTimeTo24h(label) {
+  if (!label) return null;
+
+  // Try to catch "06:30", "6:30 am", "6:30pm"
+  const m = label.match(/(\d{1,2}):(\d{2})\s*(am|pm)?/i);
+  if (!m) return null;
+
+  let [, hh, mm, ampm] = m;
+  let hour = parseInt(hh, 10);
+
+  if (ampm) {
+    const isPM = ampm.toLowerCase() === "pm";
+    if (isPM && hour < 12) hour += 12;
+    if (!isPM && hour === 12) hour = 0; // 12am -> 00:xx
+  }
+
+  return `${hour.toString().padStart(2, "0")}:${mm}`;
+}
+
+/**
+ * Fill a catalogue booking template for a date:
+ *   {date}       YYYY-MM-DD
+ *   {ymd}        YYYYMMDD
+ *   {feeGroupId} resolved (or default) MiClub fee group
+ */
+export function fillTemplate(template, { date, feeGroupId = "" }) {
+  if (!template) return null;
+  return template
+    .replace(/\{date\}/g, date)
+    .replace(/\{ymd\}/g, date.replace(/-/g, ""))
+    .replace(/\{feeGroupId\}/g, feeGroupId || "");
+}
+
+/**
+ * Today's date in Perth as YYYY-MM-DD.
+ */
+export function todayInPerth() {
+  return new Date().toLocaleDateString("en-CA", { timeZone: "Australia/Perth" });
+}
+
+/**
+ * True when a 24h "HH:MM" time is inside the search window.
+ */
+export function inWindow(time24, criteria) {
+  const { earliest, latest } = criteria;
+  return !(time24 < earliest || time24 > latest);
+}
+
+/**
+ * Default fetch used by adapters, through the shared polite HTTP client
+ * (timeouts, retries, per-host limits). Returns the Response so the
+ * caller can decide what to do with non-200s.
+ */
+export function fetchPage(url, headers = {}) {
+  return httpClient.request(url, { headers });
+}
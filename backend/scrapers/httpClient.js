@@ -0,0 +1,225 @@
+// backend/scrapers/httpClient.js
+import nodeFetch, { Response } from "node-fetch";
+
+/**
+ * Shared HTTP client for the scrapers, so we stay polite to the booking
+ * sites however many searches are running:
+ *
+ *  - timeout       every attempt is aborted after timeoutMs (body included)
+ *  - retries       5xx, 429 and network errors are retried with exponential
+ *                  backoff (honouring Retry-After on 429)
+ *  - per host      at most `hostConcurrency` requests in flight and at
+ *                  least `hostIntervalMs` between request starts
+ *  - breaker       after `breakerThreshold` failed requests in a row a host
+ *                  is left alone for `breakerCooldownMs`; then one trial
+ *                  request decides whether it opens up again
+ *
+ * Resolves to a Response with the body already read, so callers can check
+ * `ok` / `status` and `await res.text()` as usual. Rejects on network
+ * errors, timeouts and open circuits.
+ *
+ * `fetch`, `now` and `sleep` are only swapped out by the tests.
+ */
+export class CircuitOpenError extends Error {
+  constructor(host, retryAt) {
+    super(`${host} paused after repeated failures, retrying after ${new Date(retryAt).toISOString()}`);
+    this.name = "CircuitOpenError";
+    this.host = host;
+    this.retryAt = retryAt;
+  }
+}
+
+const realSleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function isRetryable(status) {
+  return status === 429 || status >= 500;
+}
+
+// Retry-After is either seconds or an HTTP date
+function retryAfterMs(res, now) {
+  const header = res.headers.get("retry-after");
+  if (!header) return null;
+  const secs = Number(header);
+  if (Number.isFinite(secs)) return secs * 1000;
+  const at = Date.parse(header);
+  return Number.isNaN(at) ? null : Math.max(0, at - now);
+}
+
+export function createHttpClient({
+  timeoutMs = 15000,
+  retries = 2,
+  backoffMs = 500,
+  maxBackoffMs = 10000,
+  hostConcurrency = 2,
+  hostIntervalMs = 500,
+  breakerThreshold = 5,
+  breakerCooldownMs = 5 * 60 * 1000,
+  userAgent = "TeeRadar/1.0",
+  fetch = nodeFetch,
+  now = Date.now,
+  sleep = realSleep
+} = {}) {
+  const hosts = new Map();
+  const stats = { requests: 0, retries: 0, timeouts: 0, rejected: 0 };
+
+  function hostState(host) {
+    if (!hosts.has(host)) {
+      hosts.set(host, {
+        active: 0,
+        queue: [],
+        waiting: false,
+        lastStart: 0,
+        failures: 0,
+        openUntil: 0,
+        trial: false
+      });
+    }
+    return hosts.get(host);
+  }
+
+  // Start queued requests while the host has capacity and the interval allows
+  function pump(state) {
+    if (state.waiting || !state.queue.length || state.active >= hostConcurrency) return;
+    const wait = state.lastStart + hostIntervalMs - now();
+    if (wait > 0) {
+      state.waiting = true;
+      sleep(wait).then(() => {
+        state.waiting = false;
+        pump(state);
+      });
+      return;
+    }
+    state.active++;
+    state.lastStart = now();
+    state.queue.shift()();
+    pump(state);
+  }
+
+  function acquire(state) {
+    return new Promise(resolve => {
+      state.queue.push(resolve);
+      pump(state);
+    });
+  }
+
+  function release(state) {
+    state.active--;
+    pump(state);
+  }
+
+  // Throws while the breaker is open; lets a single trial through after cool-down
+  function checkBreaker(host, state) {
+    if (!state.openUntil) return;
+    if (now() < state.openUntil || state.trial) {
+      stats.rejected++;
+      throw new CircuitOpenError(host, state.openUntil);
+    }
+    state.trial = true;
+  }
+
+  function recordResult(host, state, ok) {
+    state.trial = false;
+    if (ok) {
+      state.failures = 0;
+      state.openUntil = 0;
+      return;
+    }
+    state.failures++;
+    if (state.openUntil || state.failures >= breakerThreshold) {
+      state.openUntil = now() + breakerCooldownMs;
+      console.warn(`Pausing requests to ${host} for ${Math.round(breakerCooldownMs / 1000)}s after ${state.failures} failure(s)`);
+    }
+  }
+
+  async function attempt(url, headers, state) {
+    await acquire(state);
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      stats.requests++;
+      const res = await fetch(url, {
+        headers: { "User-Agent": userAgent, ...headers },
+        signal: controller.signal
+      });
+      const body = await res.text();
+      return new Response(body, {
+        status: res.status,
+        statusText: res.statusText,
+        headers: res.headers
+      });
+    } catch (err) {
+      if (err.name === "AbortError") {
+        stats.timeouts++;
+        throw new Error(`Timed out after ${timeoutMs} ms`);
+      }
+      throw err;
+    } finally {
+      clearTimeout(timer);
+      release(state);
+    }
+  }
+
+  /**
+   * GET `url`. See the module comment for what happens in between.
+   */
+  async function request(url, { headers = {} } = {}) {
+    const host = new URL(url).host;
+    const state = hostState(host);
+    checkBreaker(host, state);
+
+    for (let n = 0; ; n++) {
+      let res = null;
+      let error = null;
+      try {
+        res = await attempt(url, headers, state);
+      } catch (err) {
+        error = err;
+      }
+
+      const failed = error || isRetryable(res.status);
+      if (!failed || n >= retries) {
+        recordResult(host, state, !failed);
+        if (error) throw error;
+        return res;
+      }
+
+      stats.retries++;
+      const backoff = Math.min(maxBackoffMs, backoffMs * 2 ** n) * (0.75 + Math.random() * 0.5);
+      const hinted = res && res.status === 429 ? retryAfterMs(res, now()) : null;
+      await sleep(Math.min(maxBackoffMs, hinted ?? backoff));
+    }
+  }
+
+  /**
+   * Per-host queue and breaker state, for the admin endpoints.
+   */
+  function inspect() {
+    const at = now();
+    return {
+      stats: { ...stats },
+      hosts: [...hosts.entries()].map(([host, s]) => ({
+        host,
+        active: s.active,
+        queued: s.queue.length,
+        failures: s.failures,
+        circuit: !s.openUntil ? "closed" : at < s.openUntil ? "open" : "half-open",
+        openUntil: s.openUntil ? new Date(s.openUntil).toISOString() : null
+      }))
+    };
+  }
+
+  return { request, inspect };
+}
+
+// Unlike `Number(x) || fallback`, lets SCRAPER_RETRIES=0 through
+const env = (name, fallback) => (process.env[name] ? Number(process.env[name]) : fallback);
+
+export const httpClient = createHttpClient({
+  timeoutMs: env("SCRAPER_TIMEOUT_MS", 15000),
+  retries: env("SCRAPER_RETRIES", 2),
+  hostConcurrency: env("SCRAPER_HOST_CONCURRENCY", 2),
+  hostIntervalMs: env("SCRAPER_HOST_INTERVAL_MS", 500),
+  breakerThreshold: env("SCRAPER_BREAKER_THRESHOLD", 5),
+  breakerCooldownMs: env("SCRAPER_BREAKER_COOLDOWN_MS", 5 * 60 * 1000),
+  userAgent: process.env.SCRAPER_USER_AGENT || "TeeRadar/1.0 (WA public golf tee time search)"
+});
@@ -0,0 +1,169 @@
+// backend/scrapers/prices.js
+
+/**
+ * Structured green fees.
+ *
+ * Every adapter reports the rates it can see on a tee time as
+ *   prices: [{ amount, currency, category, label, players, holes }]
+ * where `amount` is the listed number for `players` golfers, `holes`
+ * is 9 or 18 when the label says so, and `category` is one of
+ * RATE_CATEGORIES. From those the slot gets a headline `price`: the
+ * cheapest per-player green fee anyone can book for the course's
+ * holes, i.e. ignoring member and concession rates, cart and hire
+ * add-ons, and 9-hole rates on an 18-hole course (or vice versa).
+ */
+export const RATE_CATEGORIES = [
+  "standard",
+  "visitor",
+  "member",
+  "senior",
+  "junior",
+  "twilight",
+  "cart",
+  "hire"
+];
+
+// Rates that need a membership card or proof of age
+const RESTRICTED = ["member", "senior", "junior"];
+// Charged on top of a green fee rather than instead of one
+const EXTRAS = ["cart", "hire"];
+
+// First match wins, so "Member Cart" is a member rate
+const CATEGORY_PATTERNS = [
+  ["member", /\bmembers?\b|\baffiliated\b/i],
+  ["senior", /\bseniors?\b|\bpensioners?\b|\bconcession\b|\bveterans?\b/i],
+  ["junior", /\bjuniors?\b|\bstudents?\b|\byouth\b|\bunder \d+/i],
+  ["twilight", /\btwilight\b|\bsunset\b/i],
+  ["cart", /\bcarts?\b|\bbugg(?:y|ies)\b/i],
+  ["hire", /\bhire\b|\bclubs\b|\btrolleys?\b/i],
+  ["visitor", /\bvisitors?\b|\bpublic\b|\bguests?\b|\bnon[- ]?members?\b/i]
+];
+
+/**
+ * "$1,234.50", "AUD 45", 45 -> 1234.5 / 45 / 45. Null if there is no
+ * usable number.
+ */
+export function parseAmount(value) {
+  if (typeof value === "number") return Number.isFinite(value) && value >= 0 ? value : null;
+  if (!value) return null;
+  const m = String(value).replace(/,/g, "").match(/\d+(\.\d+)?/);
+  return m ? Number(m[0]) : null;
+}
+
+/**
+ * Rate category for a fee label such as "Visitor 18 Holes".
+ */
+export function categoriseRate(label) {
+  const hit = CATEGORY_PATTERNS.find(([, re]) => re.test(label || ""));
+  return hit ? hit[0] : "standard";
+}
+
+/**
+ * 9 or 18 when a fee label names its holes ("18 Holes", "9-hole"),
+ * otherwise null.
+ */
+export function holesFromLabel(label) {
+  const m = /\b(9|18)[\s-]*holes?\b/i.exec(label || "");
+  return m ? Number(m[1]) : null;
+}
+
+// "$60 pp", "$60 / 2", "$60 for 2 pax" straight after an amount
+const PLAYERS_AFTER = /^\s*(?:(pp\b|per (?:player|person))|(?:for|\/)\s*([1-4])\b(?:\s*(?:players?|people|pax|golfers?)\b)?)/i;
+// "Cart for 2 players" in the label before it
+const PLAYERS_BEFORE = /\b([1-4])\s*(?:players?|people|persons?|pax|golfers?)\b/i;
+
+function tidyLabel(text) {
+  return (text || "")
+    .replace(/\d{1,2}:\d{2}\s*(am|pm)?/gi, "")
+    .replace(/\b(taken|available|book(ing)?( now)?|select)\b/gi, "")
+    .replace(/[|:\-–]+$/g, "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(-40)
+    .trim();
+}
+
+/**
+ * One structured price, or null if `amount` isn't a number.
+ */
+export function makePrice(amount, label = "", players = 1, currency = "AUD") {
+  const value = parseAmount(amount);
+  if (value === null) return null;
+  const tidy = tidyLabel(label);
+  return {
+    amount: value,
+    currency,
+    category: categoriseRate(tidy),
+    label: tidy || null,
+    players: Number(players) > 0 ? Number(players) : 1,
+    holes: holesFromLabel(tidy)
+  };
+}
+
+// The currency each marker in front of an amount stands for; a bare "$"
+// is whatever the caller says the site charges in
+const CURRENCY_MARKERS = {
+  "A$": "AUD",
+  "AUD": "AUD",
+  "NZ$": "NZD",
+  "NZD": "NZD",
+  "US$": "USD",
+  "USD": "USD"
+};
+
+/**
+ * Every "$NN" in a block of text, labelled with the words just before
+ * it (back to the previous amount), for the number of players given
+ * either side of it, in the currency its marker names.
+ *
+ *   "Visitor 18 Holes $45.00  Senior $38  Cart for 2 players $60"
+ *     -> visitor 45, senior 38, cart 60 for 2
+ */
+export function parsePriceText(text, { currency = "AUD" } = {}) {
+  const flat = (text || "").replace(/\s+/g, " ");
+  const re = /((?:A|NZ|US)?\$|AUD\s?|NZD\s?|USD\s?)\s*(\d[\d,]*(?:\.\d{1,2})?)/gi;
+  const prices = [];
+  let from = 0;
+  let m;
+  while ((m = re.exec(flat))) {
+    const before = flat.slice(from, m.index);
+    const after = flat.slice(re.lastIndex).match(PLAYERS_AFTER);
+    const fromBefore = before.match(PLAYERS_BEFORE);
+    // Defaults to one: per-player pricing is by far the most common
+    let players = 1;
+    if (after && after[2]) players = Number(after[2]);
+    else if (!after && fromBefore) players = Number(fromBefore[1]);
+
+    const marker = m[1].trim().toUpperCase();
+    const price = makePrice(m[2], before, players, CURRENCY_MARKERS[marker] || currency);
+    if (price) prices.push(price);
+    // Don't let "for 2" leak into the next amount's label
+    from = re.lastIndex + (after ? after[0].length : 0);
+  }
+  return prices;
+}
+
+/**
+ * Cheapest per-player green fee that isn't member or concession only,
+ * isn't an add-on and, given the course's `holes`, is for that many
+ * holes. Returns { price, priceCategory } with nulls when nothing applies.
+ */
+export function headlinePrice(prices, { holes = null } = {}) {
+  let best = null;
+  for (const p of prices || []) {
+    if (RESTRICTED.includes(p.category) || EXTRAS.includes(p.category)) continue;
+    if (holes && p.holes && p.holes !== holes) continue;
+    const each = Math.round((p.amount / p.players) * 100) / 100;
+    if (!best || each < best.price) best = { price: each, priceCategory: p.category };
+  }
+  return best || { price: null, priceCategory: null };
+}
+
+/**
+ * The price fields every slot carries: prices, price, priceCategory.
+ * `holes` is the course's, see headlinePrice.
+ */
+export function priceFields(prices, { holes = null } = {}) {
+  const list = (prices || []).filter(Boolean);
+  return { prices: list, ...headlinePrice(list, { holes }) };
+}
@@ -1,275 +1,285 @@
 // backend/scrapers/scrapeCourse.js
-import fetch from "node-fetch";
-import * as cheerio from "cheerio"; // Cheerio v2+ has no default export
+import { getAdapter } from "./adapters/index.js";
+import { fetchPage, normaliseTimeTo24h } from "./helpers.js";
+import { resolveFeeGroup, isWeekend } from "./feeGroups.js";
+import { ScrapeError } from "./errors.js";
+import { availabilityCache, availabilityKey } from "../services/availabilityCache.js";
+import { recordSnapshot } from "../services/snapshots.js";
+import { recordScrapeRun } from "../services/metrics.js";
+import { scrapeMiClubTimesheet } from "./adapters/miclub.js";
+import { scrapeQuick18Matrix } from "./adapters/quick18.js";
+
+export { normaliseTimeTo24h, scrapeMiClubTimesheet, scrapeQuick18Matrix };
 
 /**
  * Build a date-specific URL for the course.
  *
- * We assume courses.json stores a working example link,
- * and we only adjust the date parameter:
- *   - MiClub:  selectedDate=YYYY-MM-DD
- *   - Quick18: teedate=YYYYMMDD
+ * The catalogue stores a booking template per course and the provider
+ * adapter fills in the date (and MiClub fee group):
+ *   - MiClub:     selectedDate=YYYY-MM-DD&feeGroupId=...
+ *   - Quick18:    teedate=YYYYMMDD
+ *   - Chronogolf: date=YYYY-MM-DD
  */
-function buildCourseUrl(course, date) {
-  if (!course.url) return null;
-  if (!date) return course.url;
-
-  const ymd = date.replace(/-/g, "");
-  let url = course.url;
-
-  // MiClub style
-  if (url.includes("selectedDate=")) {
-    if (/selectedDate=\d{4}-\d{2}-\d{2}/.test(url)) {
-      url = url.replace(
-        /selectedDate=\d{4}-\d{2}-\d{2}/,
-        "selectedDate=" + date
-      );
-    } else {
-      const sep = url.includes("?") ? "&" : "?";
-      url = url + sep + "selectedDate=" + date;
-    }
-  }
-
-  // Quick18 style
-  if (url.includes("teedate=")) {
-    if (/teedate=\d{8}/.test(url)) {
-      url = url.replace(/teedate=\d{8}/, "teedate=" + ymd);
-    } else {
-      const sep = url.includes("?") ? "&" : "?";
-      url = url + sep + "teedate=" + ymd;
-    }
-  }
-
-  return url;
+export function buildCourseUrl(course, date) {
+  const adapter = getAdapter(course);
+  if (!adapter) return null;
+  return adapter.buildUrl(course, date);
 }
 
 /**
- * Normalise something like "12:33 pm" -> "12:33" (24h).
+ * Stable, readable id for a tee time: "<courseId>.<YYYYMMDD>.<HHMM>",
+ * e.g. "whaleback-18.20261024.0746". When the sheet has more than one
+ * row at that minute (1st and 10th tee), the later ones are numbered
+ * in sheet order: "whaleback-18.20261024.0746-2". The same slot gets
+ * the same id in every search, so it can be shared or exported later.
  */
-function normaliseTimeTo24h(label) {
-  if (!label) return null;
+export function slotId(courseId, date, time, seq = 1) {
+  const id = `${courseId}.${date.replace(/-/g, "")}.${time.replace(":", "")}`;
+  return seq > 1 ? `${id}-${seq}` : id;
+}
 
-  // Try to catch "06:30", "6:30 am", "6:30pm"
-  const m = label.match(/(\d{1,2}):(\d{2})\s*(am|pm)?/i);
+/**
+ * { courseId, date, time, seq } from a slot id, or null if it isn't
+ * one, including ids whose date or time doesn't exist (20261399, 2460).
+ */
+export function parseSlotId(id) {
+  const m = /^([a-z0-9-]+)\.(\d{4})(\d{2})(\d{2})\.([01]\d|2[0-3])([0-5]\d)(?:-([2-9]|[1-9]\d))?$/.exec(id || "");
   if (!m) return null;
-
-  let [, hh, mm, ampm] = m;
-  let hour = parseInt(hh, 10);
-
-  if (ampm) {
-    const isPM = ampm.toLowerCase() === "pm";
-    if (isPM && hour < 12) hour += 12;
-    if (!isPM && hour === 12) hour = 0; // 12am -> 00:xx
-  }
-
-  return `${hour.toString().padStart(2, "0")}:${mm}`;
+  const [, courseId, y, mo, d, hh, mm, seq] = m;
+  const date = `${y}-${mo}-${d}`;
+  const day = new Date(`${date}T00:00:00Z`);
+  if (Number.isNaN(day.getTime()) || day.toISOString().slice(0, 10) !== date) return null;
+  return { courseId, date, time: `${hh}:${mm}`, seq: seq ? Number(seq) : 1 };
 }
 
 /**
- * SCRAPE: MiClub timesheet (Whaleback, Collier, Wembley, Araluen, etc.).
- *
- * Uses .row-time blocks from the HTML:
- *  - time from .time-wrapper h3
- *  - count occurrences of "Taken" in that block
- *  - group size = 4 → available = max(0, 4 - taken)
- *  - only return rows with available >= partySize, and time in window
- *
- * Holes come from course.holes in courses.json (manual, reliable).
+ * Give every row on a course's sheet its slot id. Ids are numbered
+ * over the whole sheet, before any filtering, so a row keeps its id
+ * whatever window or party size is searched.
  */
-function scrapeMiClubTimesheet(html, course, criteria, bookingUrlForDate) {
-  const { earliest, latest, partySize } = criteria;
-  const maxGroupSize = 4;
-
-  const $ = cheerio.load(html);
-  const slots = [];
-
-  $(".row-time").each((_, rowEl) => {
-    const $row = $(rowEl);
-
-    const timeLabel = $row.find(".time-wrapper h3").first().text().trim();
-    const time24 = normaliseTimeTo24h(timeLabel);
-    if (!time24) return;
-
-    if (time24 < earliest || time24 > latest) return;
-
-    const rowText = $row.text();
-    const takenCount = (rowText.match(/Taken/gi) || []).length;
-    const availableSpots = Math.max(0, maxGroupSize - takenCount);
-
-    if (availableSpots < partySize) return;
-
-    let price = null;
-    const priceMatch = rowText.match(/\$\s*\d+(\.\d+)?/);
-    if (priceMatch) {
-      price = priceMatch[0].replace(/\s+/g, "");
-    }
-
-    slots.push({
-      name: course.name,
-      provider: course.provider || "miclub",
-      holes: course.holes || null,
-      time: time24,
-      spots: availableSpots,
-      price,
-      // Date-specific URL, not the static example
-      url: bookingUrlForDate || course.url,
-      lat: course.lat,
-      lng: course.lng
-    });
+export function withSlotIds(courseId, date, rows) {
+  const atMinute = new Map();
+  return rows.map(row => {
+    const seq = (atMinute.get(row.time) || 0) + 1;
+    atMinute.set(row.time, seq);
+    return { id: slotId(courseId, date, row.time, seq), ...row };
   });
-
-  return slots;
 }
 
 /**
- * SCRAPE: Quick18 matrix (Hamersley, The Springs / Armadale).
+ * Apply the search criteria to a course before fetching:
+ *  - skip it when the hole count doesn't match the requested `holes`
+ *  - skip weekday-only / weekend-only entries on the wrong day
+ *  - pin the feeGroupId from the club's fee groups for the date
  *
- * This implementation assumes the /searchmatrix endpoint returns JSON or
- * JSON-like text. If parsing fails or the structure is unknown, we
- * return [] so the course shows as “Tap to check times” but we don't
- * claim any availability.
+ * Returns the course (possibly with feeGroupId/feeGroupKey) or null.
  */
-function scrapeQuick18Matrix(body, course, criteria, bookingUrlForDate) {
-  const { earliest, latest, partySize } = criteria;
-  const maxGroupSize = 4;
-  const slots = [];
+export function resolveCourseForSearch(course, criteria) {
+  const { date, holes } = criteria;
 
-  let data;
-  try {
-    data = JSON.parse(body);
-  } catch (err) {
-    console.warn(`Quick18: response for ${course.name} is not valid JSON yet.`, err.message);
-    return [];
+  if (holes && course.holes && String(course.holes) !== String(holes)) {
+    return null;
   }
 
-  // Quick18 can come back in different shapes. We try a couple of common ones.
+  if (course.days && date && (course.days === "weekend") !== isWeekend(date)) {
+    return null;
+  }
 
-  let teeTimesArray = null;
+  const feeGroup = resolveFeeGroup(course, date);
+  if (!feeGroup) return course;
 
-  // Case 1: data is already an array
-  if (Array.isArray(data)) {
-    teeTimesArray = data;
-  }
+  return { ...course, feeGroupId: feeGroup.id, feeGroupKey: feeGroup.key };
+}
 
-  // Case 2: object with a "teeTimes" or "matrix" array
-  if (!teeTimesArray && data && typeof data === "object") {
-    if (Array.isArray(data.teeTimes)) teeTimesArray = data.teeTimes;
-    else if (Array.isArray(data.matrix)) teeTimesArray = data.matrix;
-    else if (Array.isArray(data.rows)) teeTimesArray = data.rows;
-  }
+/**
+ * Every row on the timesheet, regardless of the search window. This is
+ * what gets cached; `filterSlots` narrows it per search.
+ */
+const FULL_DAY = { earliest: "00:00", latest: "23:59", partySize: 0 };
 
-  if (!teeTimesArray) {
-    console.warn(`Quick18: unrecognised JSON structure for ${course.name}`);
+/**
+ * Fetch and parse one course's timesheet for a date. Throws on network
+ * errors and non-200 responses so they are not cached. Every sheet that
+ * parses is kept as a snapshot for the booking insights.
+ */
+async function fetchCourseSlots(course, adapter, date) {
+  const bookingUrlForDate = adapter.buildUrl(course, date);
+  if (!bookingUrlForDate) {
+    console.warn(`No URL for course "${course.name}"`);
     return [];
   }
 
-  teeTimesArray.forEach((row) => {
-    if (!row) return;
-
-    // Try to extract a time string from a likely field
-    const rawTime =
-      row.time ||
-      row.Time ||
-      row.StartTime ||
-      row.startTime ||
-      row.teeTime ||
-      row.tee_time;
-
-    const time24 = normaliseTimeTo24h(String(rawTime || ""));
-    if (!time24) return;
-
-    if (time24 < earliest || time24 > latest) return;
+  let res;
+  let body;
+  try {
+    res = adapter.fetch
+      ? await adapter.fetch(bookingUrlForDate, course)
+      : await fetchPage(bookingUrlForDate);
+    if (res.ok) body = await res.text();
+  } catch (err) {
+    throw new ScrapeError("fetch-error", err.message);
+  }
 
-    // Try to get available spots from a likely field
-    const rawSpots =
-      row.availableSpots ??
-      row.AvailableSpots ??
-      row.spots ??
-      row.Spots ??
-      row.openSpots ??
-      row.OpenSpots;
+  if (!res.ok) {
+    throw new ScrapeError("http-status", `Upstream returned HTTP ${res.status}`, {
+      httpStatus: res.status
+    });
+  }
 
-    let availableSpots = Number(rawSpots);
-    if (!Number.isFinite(availableSpots)) {
-      // If no explicit field, we fall back to a simple heuristic:
-      // Quick18 often uses groupSize (4) minus bookedCount.
-      const booked =
-        row.bookedCount ??
-        row.BookedCount ??
-        row.booked ??
-        row.Booked ??
-        0;
-      const used = Number(booked) || 0;
-      availableSpots = Math.max(0, maxGroupSize - used);
-    }
+  const slots = adapter
+    .parse(body, course, { ...FULL_DAY, date }, bookingUrlForDate)
+    .map(s => ({
+      ...s,
+      courseId: course.id,
+      feeGroup: course.feeGroupKey || null,
+      feeGroupId: course.feeGroupId || null
+    }));
 
-    if (availableSpots < partySize) return;
+  recordSnapshot(course, date, slots);
+  return slots;
+}
 
-    slots.push({
-      name: course.name,
-      provider: course.provider || "quick18",
-      holes: course.holes || null,
-      time: time24,
-      spots: availableSpots,
-      price: null, // most Quick18 JSON doesn't carry a clean price here
-      url: bookingUrlForDate || course.url,
-      lat: course.lat,
-      lng: course.lng
+/**
+ * The availability cache's loader: one upstream read, counted in the
+ * scraper metrics however many searches end up sharing it.
+ */
+async function loadCourseSlots(course, adapter, date) {
+  const started = Date.now();
+  try {
+    const slots = await fetchCourseSlots(course, adapter, date);
+    recordScrapeRun(course, {
+      status: slots.length ? "ok" : "no-availability",
+      latencyMs: Date.now() - started,
+      rows: slots.length
     });
-  });
-
-  return slots;
+    return slots;
+  } catch (err) {
+    recordScrapeRun(course, {
+      status: err instanceof ScrapeError ? err.code : "parse-error",
+      latencyMs: Date.now() - started
+    });
+    throw err;
+  }
 }
 
 /**
- * Phone/info-only courses: no scraping; just show them on map/list.
+ * Narrow a full-day slot list to the search window, party size, holes
+ * and `maxPrice`. Slots without a listed price are kept under a price
+ * cap (many sheets don't show one), so the course's site has the final say.
  */
-function scrapeInfoOnly(_course, _criteria) {
-  return [];
+export function filterSlots(slots, criteria) {
+  const { earliest, latest, partySize, holes, maxPrice } = criteria;
+  return slots.filter(s => {
+    if (s.time < earliest || s.time > latest) return false;
+    if (s.spots < partySize) return false;
+    // Belt and braces: providers sometimes mix 9 and 18 hole rows
+    if (holes && s.holes && String(s.holes) !== String(holes)) return false;
+    if (maxPrice && typeof s.price === "number" && s.price > maxPrice) return false;
+    return true;
+  });
 }
 
 /**
- * Main exported function used by server.js
+ * Scrape one course and describe how it went.
+ *
+ * Resolves to { slots, status } where status is:
+ *   {
+ *     courseId, name, provider,
+ *     status:    "ok" | "no-availability" | "fetch-error" | "http-status" |
+ *                "parse-error" | "unsupported" | "phone-only" | "skipped",
+ *     message,   human-readable explanation
+ *     latencyMs, time spent on this course (near zero for cache hits)
+ *     slots,     number of slots returned after filtering
+ *     rows,      rows on the whole timesheet, before filtering
+ *     fetchedAt, cached, stale  (when a timesheet was read)
+ *     httpStatus         (for "http-status")
+ *   }
+ *
+ * Never rejects; failures are reported in `status`.
  */
-export async function scrapeCourse(course, criteria) {
+export async function scrapeCourseWithStatus(rawCourse, criteria) {
   const { date } = criteria;
-  const provider = (course.provider || "").toLowerCase();
+  const started = Date.now();
+  const report = (status, message, extra = {}) => ({
+    courseId: rawCourse.id,
+    name: rawCourse.name,
+    provider: rawCourse.provider || null,
+    status,
+    message,
+    latencyMs: Date.now() - started,
+    slots: 0,
+    ...extra
+  });
 
-  // Phone / info courses never have live availability
-  if (provider === "phone" || provider === "info") {
-    return scrapeInfoOnly(course, criteria);
+  const course = resolveCourseForSearch(rawCourse, criteria);
+  if (!course) {
+    return {
+      slots: [],
+      status: report("skipped", "Not offered for the selected holes or day")
+    };
   }
 
-  const bookingUrlForDate = buildCourseUrl(course, date);
-  if (!bookingUrlForDate) {
-    console.warn(`No URL for course "${course.name}"`);
-    return [];
-  }
+  const adapter = getAdapter(course);
 
-  let res;
-  try {
-    res = await fetch(bookingUrlForDate, { timeout: 15000 });
-  } catch (err) {
-    console.warn(`Error fetching ${course.name}:`, err.message);
-    return [];
+  if (!adapter) {
+    return {
+      slots: [],
+      status: report("unsupported", `No live checks for provider "${course.provider || "unknown"}"`)
+    };
   }
 
-  if (!res.ok) {
-    console.warn(`Fetch failed for ${course.name}:`, res.status);
-    return [];
+  // Phone / info courses never have live availability
+  if (!adapter.capabilities.liveAvailability) {
+    return {
+      slots: [],
+      status: report("phone-only", course.phone ? `Call ${course.phone} to book` : "Phone bookings only")
+    };
   }
 
-  const body = await res.text();
-
-  if (provider.includes("miclub")) {
-    return scrapeMiClubTimesheet(body, course, criteria, bookingUrlForDate);
+  let cached;
+  try {
+    cached = await availabilityCache.get(
+      availabilityKey(course, date, course.feeGroupId),
+      () => loadCourseSlots(course, adapter, date)
+    );
+  } catch (err) {
+    const code = err instanceof ScrapeError ? err.code : "parse-error";
+    console.warn(`Error scraping ${course.name}:`, err.message);
+    return {
+      slots: [],
+      status: report(code, err.message, err.httpStatus ? { httpStatus: err.httpStatus } : {})
+    };
   }
 
-  if (provider.includes("quick18")) {
-    return scrapeQuick18Matrix(body, course, criteria, bookingUrlForDate);
+  const fetchedAt = new Date(cached.fetchedAt).toISOString();
+  const slots = filterSlots(withSlotIds(course.id, date, cached.value), criteria).map(s => ({
+    ...s,
+    date,
+    fetchedAt,
+    stale: cached.stale
+  }));
+
+  const meta = {
+    slots: slots.length,
+    rows: cached.value.length,
+    fetchedAt,
+    cached: cached.hit,
+    stale: cached.stale
+  };
+  if (slots.length) {
+    return { slots, status: report("ok", `${slots.length} matching tee time(s)`, meta) };
   }
 
-  // default: treat unknown provider as MiClub-like HTML
-  return scrapeMiClubTimesheet(body, course, criteria, bookingUrlForDate);
+  const message = cached.value.length
+    ? `${cached.value.length} tee time(s) on the sheet, none match your window and party size`
+    : "No tee times listed for this date";
+  return { slots, status: report("no-availability", message, meta) };
 }
 
+/**
+ * Main exported function used by server.js
+ */
+export async function scrapeCourse(course, criteria) {
+  const { slots } = await scrapeCourseWithStatus(course, criteria);
+  return slots;
+}
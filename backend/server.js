@@ -1,10 +1,28 @@
 // backend/server.js (only the relevant parts)
 import express from "express";
-import cors from "cors";
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
-import { scrapeCourse } from "./scrapers/scrapeCourse.js";
+import { getCourseSupport } from "./scrapers/adapters/index.js";
+import { availabilityCache } from "./services/availabilityCache.js";
+import { httpClient } from "./scrapers/httpClient.js";
+import { normaliseCriteria, runSearch, searchCost } from "./services/search.js";
+import { normaliseGroup, runGroupSearch } from "./services/groupSearch.js";
+import { loadCatalogue, filterCatalogue } from "./services/catalogue.js";
+import { hasCoordinates } from "./services/geo.js";
+import { startWatchScheduler } from "./services/watches.js";
+import { createWatchRouter } from "./routes/watches.js";
+import { createAuthRouter } from "./routes/auth.js";
+import { createAdminRouter } from "./routes/admin.js";
+import { createMeRouter } from "./routes/me.js";
+import { createInsightsRouter } from "./routes/insights.js";
+import { createSlotRouter } from "./routes/slots.js";
+import { createV1Router } from "./routes/v1.js";
+import { getShare } from "./services/shares.js";
+import { attachUser, requireRole } from "./middleware/auth.js";
+import { rateLimit } from "./middleware/rateLimit.js";
+import { recordSearch, recordBookingClick } from "./services/metrics.js";
+import { buildId } from "./services/build.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -12,69 +30,174 @@ const __dirname = path.dirname(__filename);
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-app.use(cors());
+// Behind a reverse proxy, TRUST_PROXY (a hop count, e.g. 1) makes req.ip
+// the visitor's address, which the rate limits key on
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set("trust proxy", Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+
 app.use(express.json());
-app.use(express.static(path.join(__dirname, "..", "public")));
+app.use(attachUser);
+
+// The service worker is stamped with the build id, so a deploy that
+// changes the front end gives it new caches (and browsers a new worker)
+const publicDir = path.join(__dirname, "..", "public");
+const BUILD_ID = buildId(publicDir);
+const serviceWorker =
+  `self.TEERADAR_BUILD = ${JSON.stringify(BUILD_ID)};\n` +
+  fs.readFileSync(path.join(publicDir, "service-worker.js"), "utf8");
+
+app.get("/service-worker.js", (req, res) => {
+  res.set("Cache-Control", "no-cache").type("application/javascript").send(serviceWorker);
+});
+app.use(express.static(publicDir));
+
+// TEERADAR_COURSES_FILE swaps in another catalogue (the e2e tests point
+// it at one whose booking templates hit a local stand-in server)
+const coursesPath = process.env.TEERADAR_COURSES_FILE || path.join(__dirname, "data", "courses.json");
+
+let catalogue;
+try {
+  catalogue = loadCatalogue(coursesPath);
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+}
 
-const PERTH_LAT = -31.9523;
-const PERTH_LNG = 115.8613;
-const coursesPath = path.join(__dirname, "data", "courses.json");
-const rawCourses = JSON.parse(fs.readFileSync(coursesPath, "utf8"));
-const courses = rawCourses.map(c => ({
+// Courses without coordinates keep lat/lng null and are flagged with
+// locationUnknown rather than being dropped in the Perth CBD.
+const courses = catalogue.courses.map(c => ({
   ...c,
-  lat: typeof c.lat === "number" ? c.lat : PERTH_LAT,
-  lng: typeof c.lng === "number" ? c.lng : PERTH_LNG
+  locationUnknown: !hasCoordinates(c),
+  support: getCourseSupport(c)
 }));
-
-const feeGroupsPath = path.join(__dirname, "data", "fee_groups.json");
-let feeGroups = {};
-if (fs.existsSync(feeGroupsPath)) {
-  feeGroups = JSON.parse(fs.readFileSync(feeGroupsPath, "utf8"));
-}
+const clubs = catalogue.clubs;
 
 app.get("/health", (req, res) => {
   res.json({ status: "ok", courses: courses.length });
 });
 
+// GET /api/courses?region=north,south&provider=miclub&club=whaleback
 app.get("/api/courses", (req, res) => {
-  res.json(courses);
+  res.json(filterCatalogue(courses, req.query));
+});
+
+app.get("/api/clubs", (req, res) => {
+  res.json(filterCatalogue(clubs, req.query));
+});
+
+app.get("/api/courses/:id", (req, res) => {
+  const course = courses.find(c => c.id === req.params.id);
+  if (!course) return res.status(404).json({ error: "course not found" });
+  res.json(course);
+});
+
+// Public, key-authenticated API (see routes/v1.js)
+app.use("/api/v1", createV1Router({ courses }));
+
+app.use("/api", createAuthRouter());
+app.use("/api/me", createMeRouter());
+app.use("/api/admin", createAdminRouter({ courses }));
+
+app.get("/api/cache", requireRole("admin"), (req, res) => {
+  res.json(availabilityCache.inspect());
+});
+
+// DELETE /api/cache            -> purge everything
+// DELETE /api/cache?match=...  -> purge keys containing the text
+//                                 (course name, date, feeGroupId)
+app.delete("/api/cache", requireRole("admin"), (req, res) => {
+  const removed = availabilityCache.purge(String(req.query.match || ""));
+  res.json({ removed });
+});
+
+// Upstream hosts: queue depth, failures and circuit breaker state
+app.get("/api/upstream", requireRole("admin"), (req, res) => {
+  res.json(httpClient.inspect());
+});
+
+// POST /api/clicks { courseId } -> someone followed a booking link
+const clickLimit = rateLimit({
+  max: Number(process.env.CLICK_RATE_PER_MINUTE) || 60,
+  message: "too many clicks from this address, try again in a minute"
 });
 
-app.post("/api/search", async (req, res) => {
+app.post("/api/clicks", clickLimit, (req, res) => {
+  const { courseId } = req.body || {};
+  if (!courses.some(c => c.id === courseId)) {
+    return res.status(400).json({ error: "unknown courseId" });
+  }
+  recordBookingClick(courseId);
+  res.status(204).end();
+});
+
+// The site's own search has no key, so each visitor gets a per-minute
+// allowance of course-date checks: a fortnight across every course uses
+// it up, a single day leaves room for more. Bots and integrations
+// belong on /api/v1 with a key.
+const searchLimit = rateLimit({
+  max: Number(process.env.SEARCH_CHECKS_PER_MINUTE) || 420,
+  message: "too many searches from this address, try again in a minute",
+  cost: req => searchCost(courses, req.criteria)
+});
+
+// Validate before the limiter, which weighs the search by its criteria
+function readSearch(req, res, next) {
+  const { criteria, error } = normaliseCriteria(req.body || {});
+  if (error) return res.status(400).json({ error });
+  req.criteria = criteria;
+  next();
+}
+
+function readGroup(req, res, next) {
+  const { group, error } = normaliseGroup(req.body || {});
+  if (error) return res.status(400).json({ error });
+  req.group = group;
+  req.criteria = group.criteria;
+  next();
+}
+
+app.post("/api/search", readSearch, searchLimit, async (req, res) => {
   try {
-    const {
-      date,
-      earliest = "06:00",
-      latest = "17:00",
-      holes = "",
-      partySize = 1
-    } = req.body || {};
-
-    if (!date) {
-      return res.status(400).json({ error: "date is required" });
-    }
-
-    const criteria = {
-      date,
-      earliest,
-      latest,
-      holes: holes === "" ? "" : String(holes),
-      partySize: Number(partySize) || 1
-    };
-
-    const jobs = courses.map(c => scrapeCourse(c, criteria, feeGroups));
-    const settled = await Promise.allSettled(jobs);
-    const slots = settled
-      .filter(r => r.status === "fulfilled")
-      .flatMap(r => r.value || []);
-
-    res.json({ slots });
+    const { criteria } = req;
+    recordSearch();
+    const { slots, byDate, cheapest, status } = await runSearch(courses, criteria);
+    res.json({ dates: criteria.dates, slots, byDate, cheapest, status });
   } catch (err) {
     console.error("search error", err);
     res.status(500).json({ error: "internal error", detail: err.message });
   }
 });
 
+// POST /api/group-search { date, members: [{ name, earliest, latest, courses }], ... }
+app.post("/api/group-search", readGroup, searchLimit, async (req, res) => {
+  try {
+    const { group } = req;
+    recordSearch();
+    const { combinations, status } = await runGroupSearch(courses, group);
+    res.json({ dates: group.criteria.dates, groupSize: group.members.length, combinations, status });
+  } catch (err) {
+    console.error("group search error", err);
+    res.status(500).json({ error: "internal error", detail: err.message });
+  }
+});
+
+app.use("/api/watches", createWatchRouter({ courses }));
+app.use("/api/insights", createInsightsRouter({ courses }));
+app.use("/api", createSlotRouter({ courses }));
+
+// Short share links reopen the search in book.html
+app.get("/s/:code", (req, res) => {
+  if (!getShare(req.params.code)) {
+    return res.status(404).send("This share link has expired or doesn't exist.");
+  }
+  res.redirect(`/book.html?share=${encodeURIComponent(req.params.code)}`);
+});
+
+const WATCH_INTERVAL_MS = Number(process.env.WATCH_INTERVAL_MS) || 10 * 60 * 1000;
+startWatchScheduler({ courses, intervalMs: WATCH_INTERVAL_MS });
+
 app.listen(PORT, () => {
   console.log("✅ TeeRadar backend running on", PORT);
 });
@@ -0,0 +1,148 @@
+// backend/services/apiKeys.js
+import crypto from "crypto";
+import { createJsonStore } from "./jsonStore.js";
+import { todayInPerth } from "../scrapers/helpers.js";
+
+/**
+ * Keys for the public /api/v1, issued by admins:
+ *
+ *   {
+ *     id, name, prefix, keyHash, ratePerMinute,
+ *     createdBy, createdAt, revokedAt, lastUsedAt,
+ *     usage: { total, limited, byDay: { [YYYY-MM-DD]: count } }
+ *   }
+ *
+ * Only a hash of each key is stored. The key itself is returned once,
+ * when it's issued; `prefix` is enough to tell keys apart afterwards.
+ *
+ * Usage is counted in memory and written to the store every
+ * API_USAGE_FLUSH_MS rather than on every request, so a crash loses
+ * at most that much; listApiKeys adds the counts not yet written.
+ */
+const store = createJsonStore("apiKeys.json", { keys: [] });
+
+export const DEFAULT_RATE_PER_MINUTE = Number(process.env.API_RATE_PER_MINUTE) || 60;
+const MAX_RATE_PER_MINUTE = 1000;
+const KEEP_DAYS = 90;
+const KEY_PREFIX = "trk_";
+const FLUSH_MS = Number(process.env.API_USAGE_FLUSH_MS) || 60 * 1000;
+
+// key id -> { total, limited, byDay, lastUsedAt } since the last flush
+const pending = new Map();
+
+const sha256 = value => crypto.createHash("sha256").update(value).digest("hex");
+
+function publicApiKey(record) {
+  const { keyHash, ...rest } = record;
+  return rest;
+}
+
+/**
+ * Issue a key. Returns { apiKey, key } or { error }.
+ */
+export function issueApiKey({ name, ratePerMinute = DEFAULT_RATE_PER_MINUTE, createdBy = null } = {}) {
+  const label = String(name || "").trim().slice(0, 80);
+  if (!label) return { error: "name is required" };
+
+  const rate = Number(ratePerMinute);
+  if (!Number.isInteger(rate) || rate < 1 || rate > MAX_RATE_PER_MINUTE) {
+    return { error: `ratePerMinute must be a whole number from 1 to ${MAX_RATE_PER_MINUTE}` };
+  }
+
+  const key = KEY_PREFIX + crypto.randomBytes(24).toString("base64url");
+  const record = {
+    id: crypto.randomUUID(),
+    name: label,
+    prefix: key.slice(0, KEY_PREFIX.length + 6),
+    keyHash: sha256(key),
+    ratePerMinute: rate,
+    createdBy,
+    createdAt: new Date().toISOString(),
+    revokedAt: null,
+    lastUsedAt: null,
+    usage: { total: 0, limited: 0, byDay: {} }
+  };
+  store.update(doc => {
+    doc.keys.push(record);
+  });
+  return { apiKey: publicApiKey(record), key };
+}
+
+function withPending(record) {
+  const extra = pending.get(record.id);
+  if (!extra) return record;
+  const byDay = { ...record.usage.byDay };
+  Object.entries(extra.byDay).forEach(([day, n]) => { byDay[day] = (byDay[day] || 0) + n; });
+  return {
+    ...record,
+    lastUsedAt: extra.lastUsedAt || record.lastUsedAt,
+    usage: {
+      total: record.usage.total + extra.total,
+      limited: record.usage.limited + extra.limited,
+      byDay
+    }
+  };
+}
+
+export function listApiKeys() {
+  return store.read().keys.map(k => publicApiKey(withPending(k)));
+}
+
+export function revokeApiKey(id) {
+  return store.update(doc => {
+    const record = doc.keys.find(k => k.id === id);
+    if (!record) return null;
+    record.revokedAt = record.revokedAt || new Date().toISOString();
+    return publicApiKey(withPending(record));
+  });
+}
+
+/**
+ * The active key record for a presented key, or null.
+ */
+export function findApiKey(key) {
+  if (typeof key !== "string" || !key.startsWith(KEY_PREFIX)) return null;
+  const hash = sha256(key);
+  return store.read().keys.find(k => k.keyHash === hash && !k.revokedAt) || null;
+}
+
+/**
+ * Count one request against a key; `limited` requests were turned away
+ * by the rate limit. Kept in memory until the next flush.
+ */
+export function recordApiUse(id, { limited = false } = {}) {
+  let counts = pending.get(id);
+  if (!counts) {
+    counts = { total: 0, limited: 0, byDay: {}, lastUsedAt: null };
+    pending.set(id, counts);
+  }
+  if (limited) {
+    counts.limited += 1;
+    return;
+  }
+  const day = todayInPerth();
+  counts.total += 1;
+  counts.byDay[day] = (counts.byDay[day] || 0) + 1;
+  counts.lastUsedAt = new Date().toISOString();
+}
+
+/**
+ * Write the in-memory usage counts to the store in one go.
+ */
+export function flushApiUsage() {
+  if (!pending.size) return;
+  store.update(doc => {
+    for (const record of doc.keys) {
+      if (!pending.has(record.id)) continue;
+      const { usage, lastUsedAt } = withPending(record);
+      record.usage = usage;
+      record.lastUsedAt = lastUsedAt;
+
+      const days = Object.keys(usage.byDay).sort();
+      days.slice(0, Math.max(0, days.length - KEEP_DAYS)).forEach(d => delete usage.byDay[d]);
+    }
+  });
+  pending.clear();
+}
+
+setInterval(flushApiUsage, FLUSH_MS).unref();
@@ -0,0 +1,205 @@
+// backend/services/auth.js
+import crypto from "crypto";
+import { promisify } from "util";
+import { createJsonStore } from "./jsonStore.js";
+
+/**
+ * Accounts, sessions and password reset tokens, stored in users.json.
+ *
+ *   users:       [{ id, email, name, role, passwordHash, createdAt }]
+ *   sessions:    [{ tokenHash, userId, expiresAt }]
+ *   resetTokens: [{ tokenHash, userId, expiresAt }]
+ *
+ * Session and reset tokens are only ever stored hashed.
+ */
+const store = createJsonStore("users.json", { users: [], sessions: [], resetTokens: [] });
+
+export const ROLES = ["user", "member", "admin"];
+export const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const RESET_TTL_MS = 60 * 60 * 1000;
+const MIN_PASSWORD = 8;
+
+// Async so hashing a password doesn't block every other request
+const scrypt = promisify(crypto.scrypt);
+
+// Signup doesn't verify email addresses, so nobody is an admin unless the
+// operator lists them here (register those addresses before going live)
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || "")
+  .split(",")
+  .map(e => e.trim().toLowerCase())
+  .filter(Boolean);
+
+function normaliseEmail(email) {
+  return String(email || "").trim().toLowerCase();
+}
+
+function sha256(value) {
+  return crypto.createHash("sha256").update(value).digest("hex");
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = (await scrypt(password, salt, 64)).toString("hex");
+  return `scrypt$${salt}$${hash}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [, salt, hash] = String(stored).split("$");
+  if (!salt || !hash) return false;
+  const candidate = await scrypt(password, salt, 64);
+  const expected = Buffer.from(hash, "hex");
+  return expected.length === candidate.length && crypto.timingSafeEqual(expected, candidate);
+}
+
+/**
+ * What we hand back to the browser — never the password hash.
+ */
+export function publicUser(user) {
+  if (!user) return null;
+  const { passwordHash, ...rest } = user;
+  return rest;
+}
+
+export function findUserById(id) {
+  return store.read().users.find(u => u.id === id) || null;
+}
+
+export function listUsers() {
+  return store.read().users.map(publicUser);
+}
+
+/**
+ * Create an account. Returns { user } or { error }.
+ */
+export async function createUser({ email, password, name = "" }) {
+  const clean = normaliseEmail(email);
+  if (!/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(clean)) return { error: "a valid email is required" };
+  if (!password || String(password).length < MIN_PASSWORD) {
+    return { error: `password must be at least ${MIN_PASSWORD} characters` };
+  }
+  const taken = { error: "an account with that email already exists" };
+  if (store.read().users.some(u => u.email === clean)) return taken;
+
+  const user = {
+    id: crypto.randomUUID(),
+    email: clean,
+    name: String(name || "").trim(),
+    role: ADMIN_EMAILS.includes(clean) ? "admin" : "user",
+    passwordHash: await hashPassword(String(password)),
+    createdAt: new Date().toISOString()
+  };
+  // Check again: another signup for this email may have finished meanwhile
+  return store.update(doc => {
+    if (doc.users.some(u => u.email === clean)) return taken;
+    doc.users.push(user);
+    return { user: publicUser(user) };
+  });
+}
+
+/**
+ * Check an email/password pair. Returns the public user or null.
+ */
+export async function authenticate(email, password) {
+  const user = store.read().users.find(u => u.email === normaliseEmail(email));
+  if (!user || !(await verifyPassword(String(password || ""), user.passwordHash))) return null;
+  return publicUser(user);
+}
+
+export function setRole(userId, role) {
+  if (!ROLES.includes(role)) return null;
+  return store.update(doc => {
+    const user = doc.users.find(u => u.id === userId);
+    if (!user) return null;
+    user.role = role;
+    return publicUser(user);
+  });
+}
+
+/**
+ * Account totals for the admin dashboard: users per role and how many
+ * users hold at least one unexpired session.
+ */
+export function accountStats() {
+  const { users, sessions } = store.read();
+  const now = Date.now();
+  const byRole = Object.fromEntries(ROLES.map(r => [r, 0]));
+  users.forEach(u => { byRole[u.role] = (byRole[u.role] || 0) + 1; });
+  const signedIn = new Set(sessions.filter(s => s.expiresAt > now).map(s => s.userId));
+  return { total: users.length, byRole, signedIn: signedIn.size };
+}
+
+function pruneExpired(doc) {
+  const now = Date.now();
+  doc.sessions = doc.sessions.filter(s => s.expiresAt > now);
+  doc.resetTokens = doc.resetTokens.filter(t => t.expiresAt > now);
+}
+
+/**
+ * Start a session and return its (raw) token.
+ */
+export function createSession(userId) {
+  const token = crypto.randomBytes(32).toString("base64url");
+  store.update(doc => {
+    pruneExpired(doc);
+    doc.sessions.push({ tokenHash: sha256(token), userId, expiresAt: Date.now() + SESSION_TTL_MS });
+  });
+  return token;
+}
+
+export function getSessionUser(token) {
+  if (!token) return null;
+  const tokenHash = sha256(token);
+  const session = store.read().sessions.find(s => s.tokenHash === tokenHash);
+  if (!session || session.expiresAt <= Date.now()) return null;
+  return publicUser(findUserById(session.userId));
+}
+
+export function destroySession(token) {
+  if (!token) return;
+  const tokenHash = sha256(token);
+  store.update(doc => {
+    doc.sessions = doc.sessions.filter(s => s.tokenHash !== tokenHash);
+  });
+}
+
+/**
+ * Issue a one-hour reset token for an email. Returns the raw token, or
+ * null when there's no such account (callers shouldn't reveal which).
+ */
+export function createResetToken(email) {
+  const user = store.read().users.find(u => u.email === normaliseEmail(email));
+  if (!user) return null;
+
+  const token = crypto.randomBytes(32).toString("base64url");
+  store.update(doc => {
+    pruneExpired(doc);
+    doc.resetTokens = doc.resetTokens.filter(t => t.userId !== user.id);
+    doc.resetTokens.push({ tokenHash: sha256(token), userId: user.id, expiresAt: Date.now() + RESET_TTL_MS });
+  });
+  return token;
+}
+
+/**
+ * Consume a reset token. Also signs the user out everywhere.
+ * Returns { user } or { error }.
+ */
+export async function resetPassword(token, newPassword) {
+  if (!newPassword || String(newPassword).length < MIN_PASSWORD) {
+    return { error: `password must be at least ${MIN_PASSWORD} characters` };
+  }
+  const tokenHash = sha256(String(token || ""));
+  const passwordHash = await hashPassword(String(newPassword));
+  return store.update(doc => {
+    pruneExpired(doc);
+    const entry = doc.resetTokens.find(t => t.tokenHash === tokenHash);
+    if (!entry) return { error: "reset link is invalid or has expired" };
+
+    const user = doc.users.find(u => u.id === entry.userId);
+    if (!user) return { error: "reset link is invalid or has expired" };
+
+    user.passwordHash = passwordHash;
+    doc.resetTokens = doc.resetTokens.filter(t => t !== entry);
+    doc.sessions = doc.sessions.filter(s => s.userId !== user.id);
+    return { user: publicUser(user) };
+  });
+}
@@ -0,0 +1,162 @@
+// backend/services/availabilityCache.js
+
+/**
+ * In-memory availability cache for course timesheets.
+ *
+ * Entries are keyed by course + date + fee group and hold the full,
+ * unfiltered slot list for that timesheet so every search window can be
+ * answered from the same fetch.
+ *
+ *  - fresh (younger than ttlMs)      -> served straight from memory
+ *  - stale (younger than staleMs)    -> served immediately, refreshed
+ *                                       in the background
+ *  - missing / too old               -> fetched; concurrent callers share
+ *                                       the same in-flight promise
+ *
+ * Failed loads are never cached. Entries too old to serve are pruned
+ * (by `prune`, and whenever the cache grows past `maxEntries`), and
+ * past `maxEntries` the least recently used entries go first.
+ * `now` is injectable for tests.
+ */
+export function createAvailabilityCache({ ttlMs, staleMs, maxEntries = 2000, now = Date.now } = {}) {
+  // Map order doubles as recency: entries are re-inserted when used
+  const entries = new Map();
+  const inflight = new Map();
+  const stats = { hits: 0, staleHits: 0, misses: 0, coalesced: 0, evicted: 0 };
+
+  /**
+   * Drop entries past staleMs, then the least recently used ones while
+   * over `maxEntries`. Returns how many were removed.
+   */
+  function prune() {
+    const t = now();
+    let removed = 0;
+    for (const [key, entry] of entries) {
+      if (t - entry.fetchedAt >= staleMs) {
+        entries.delete(key);
+        removed++;
+      }
+    }
+    for (const key of entries.keys()) {
+      if (entries.size <= maxEntries) break;
+      entries.delete(key);
+      removed++;
+    }
+    stats.evicted += removed;
+    return removed;
+  }
+
+  function load(key, loader) {
+    if (inflight.has(key)) {
+      stats.coalesced++;
+      return inflight.get(key);
+    }
+
+    const p = Promise.resolve()
+      .then(loader)
+      .then(value => {
+        const fetchedAt = now();
+        entries.delete(key);
+        entries.set(key, { value, fetchedAt });
+        if (entries.size > maxEntries) prune();
+        return { value, fetchedAt, stale: false, hit: false };
+      })
+      .finally(() => {
+        inflight.delete(key);
+      });
+
+    inflight.set(key, p);
+    return p;
+  }
+
+  /**
+   * Resolve `{ value, fetchedAt, stale, hit }` for a key, calling `loader` when
+   * we have nothing usable.
+   */
+  async function get(key, loader) {
+    const entry = entries.get(key);
+
+    if (entry) {
+      const age = now() - entry.fetchedAt;
+      if (age < staleMs) {
+        entries.delete(key);
+        entries.set(key, entry);
+      }
+      if (age < ttlMs) {
+        stats.hits++;
+        return { value: entry.value, fetchedAt: entry.fetchedAt, stale: false, hit: true };
+      }
+      if (age < staleMs) {
+        stats.staleHits++;
+        load(key, loader).catch(err => {
+          console.warn(`Cache refresh failed for ${key}:`, err.message);
+        });
+        return { value: entry.value, fetchedAt: entry.fetchedAt, stale: true, hit: true };
+      }
+      entries.delete(key);
+    }
+
+    stats.misses++;
+    return load(key, loader);
+  }
+
+  /**
+   * Snapshot of the cache for the inspection endpoint.
+   */
+  function inspect() {
+    const t = now();
+    return {
+      ttlMs,
+      staleMs,
+      maxEntries,
+      size: entries.size,
+      inflight: inflight.size,
+      stats: { ...stats },
+      entries: [...entries.entries()].map(([key, entry]) => ({
+        key,
+        fetchedAt: new Date(entry.fetchedAt).toISOString(),
+        ageMs: t - entry.fetchedAt,
+        stale: t - entry.fetchedAt >= ttlMs,
+        slots: Array.isArray(entry.value) ? entry.value.length : null,
+        refreshing: inflight.has(key)
+      }))
+    };
+  }
+
+  /**
+   * Remove entries whose key contains `match` (all entries when empty).
+   * Returns how many were removed.
+   */
+  function purge(match = "") {
+    let removed = 0;
+    for (const key of [...entries.keys()]) {
+      if (!match || key.includes(match)) {
+        entries.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  return { get, inspect, purge, prune };
+}
+
+const TTL_MS = Number(process.env.AVAILABILITY_CACHE_TTL_MS) || 2 * 60 * 1000;
+const STALE_MS = Number(process.env.AVAILABILITY_CACHE_STALE_MS) || 15 * 60 * 1000;
+const MAX_ENTRIES = Number(process.env.AVAILABILITY_CACHE_MAX_ENTRIES) || 2000;
+
+export const availabilityCache = createAvailabilityCache({
+  ttlMs: TTL_MS,
+  staleMs: Math.max(STALE_MS, TTL_MS),
+  maxEntries: MAX_ENTRIES
+});
+
+// Sweep out timesheets nobody has asked for again
+setInterval(() => availabilityCache.prune(), Math.max(STALE_MS, TTL_MS)).unref();
+
+/**
+ * Cache key for one course timesheet.
+ */
+export function availabilityKey(course, date, feeGroupId) {
+  return [course.id, date || "", feeGroupId || ""].join("|");
+}
@@ -0,0 +1,32 @@
+// backend/services/build.js
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+
+/**
+ * Identifier for the build being served. The service worker names its
+ * caches after it, so every deploy that changes the front end replaces
+ * the cached app shell.
+ *
+ * TEERADAR_BUILD_ID (e.g. the deployed git commit) wins; otherwise it's
+ * a hash of the files under `publicDir` as they are at startup.
+ */
+function listFiles(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .flatMap(entry => {
+      const full = path.join(dir, entry.name);
+      return entry.isDirectory() ? listFiles(full) : [full];
+    });
+}
+
+export function buildId(publicDir) {
+  if (process.env.TEERADAR_BUILD_ID) return process.env.TEERADAR_BUILD_ID;
+
+  const hash = crypto.createHash("sha256");
+  for (const file of listFiles(publicDir)) {
+    hash.update(path.relative(publicDir, file));
+    hash.update(fs.readFileSync(file));
+  }
+  return hash.digest("hex").slice(0, 12);
+}
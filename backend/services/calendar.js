@@ -0,0 +1,77 @@
+// backend/services/calendar.js
+
+/**
+ * iCalendar (RFC 5545) export for a single tee time.
+ */
+
+// Rough time on course, so the calendar blocks out the round
+const ROUND_MINUTES = { 9: 135, 18: 270 };
+// Perth has no daylight saving, so tee times convert to UTC with a fixed offset
+const PERTH_OFFSET = "+08:00";
+
+function icsDate(ms) {
+  return new Date(ms).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Lines longer than 75 octets continue on the next line after a space
+function fold(line) {
+  const out = [];
+  let rest = line;
+  while (Buffer.byteLength(rest) > 75) {
+    let cut = 75;
+    while (Buffer.byteLength(rest.slice(0, cut)) > 75) cut--;
+    out.push(rest.slice(0, cut));
+    rest = " " + rest.slice(cut);
+  }
+  out.push(rest);
+  return out.join("\r\n");
+}
+
+/**
+ * A VCALENDAR with one VEVENT for `slot` ({ id, date, time }) at
+ * `course`. `url` is the booking page; `players` goes in the notes.
+ */
+export function slotCalendar(course, slot, { url = null, players = null } = {}) {
+  const start = Date.parse(`${slot.date}T${slot.time}:00${PERTH_OFFSET}`);
+  const minutes = ROUND_MINUTES[course.holes] || ROUND_MINUTES[18];
+  const where = `${course.club || course.name}, Western Australia`;
+
+  const notes = [
+    `Tee time at ${course.name}.`,
+    players ? `Party of ${players}.` : null,
+    url ? `Booking: ${url}` : null,
+    course.phone ? `Phone: ${course.phone}` : null
+  ].filter(Boolean).join("\n");
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//TeeRadar WA//Tee times//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    "BEGIN:VEVENT",
+    `UID:${slot.id}@teeradar`,
+    `DTSTAMP:${icsDate(Date.now())}`,
+    `DTSTART:${icsDate(start)}`,
+    `DTEND:${icsDate(start + minutes * 60 * 1000)}`,
+    `SUMMARY:${escapeText(`Golf: ${course.name}`)}`,
+    `LOCATION:${escapeText(where)}`,
+    typeof course.lat === "number" && typeof course.lng === "number"
+      ? `GEO:${course.lat};${course.lng}`
+      : null,
+    url ? `URL:${url}` : null,
+    `DESCRIPTION:${escapeText(notes)}`,
+    "END:VEVENT",
+    "END:VCALENDAR"
+  ].filter(Boolean);
+
+  return lines.map(fold).join("\r\n") + "\r\n";
+}
@@ -0,0 +1,171 @@
+// backend/services/catalogue.js
+import fs from "fs";
+
+/**
+ * The course catalogue (backend/data/courses.json) is the single source
+ * of course data for the backend, the scrapers and every page.
+ *
+ * File shape:
+ *   {
+ *     version: 1,
+ *     clubs: [{
+ *       id, name, provider, region, lat, lng, phone, calendarUrl,
+ *       feeGroups: { "9": id, "18": id, "9_cart": id, "18_weekend": id, ... },
+ *       courses: [{
+ *         id, name, holes, cart, days,
+ *         feeGroupId,            default fee group baked into links
+ *         bookingTemplate,       URL with {date} / {ymd} / {feeGroupId}
+ *         publicBookingTemplate  optional human booking page
+ *       }]
+ *     }]
+ *   }
+ *
+ * Each bookable course is flattened with its club's fields, which is
+ * the shape the scrapers and /api/courses work with.
+ */
+export const PROVIDERS = ["miclub", "quick18", "chronogolf", "lightspeed", "phone", "other"];
+export const REGIONS = ["central", "north", "south", "east", "hills", "peel"];
+const ID_RE = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const FEE_GROUP_KEY_RE = /^(9|18)(_cart|_weekend)?$/;
+
+export class CatalogueError extends Error {
+  constructor(file, problems) {
+    super(`Invalid course catalogue ${file}:\n  - ${problems.join("\n  - ")}`);
+    this.name = "CatalogueError";
+    this.problems = problems;
+  }
+}
+
+function validate(doc) {
+  const problems = [];
+  const ids = new Set();
+  const check = (ok, message) => {
+    if (!ok) problems.push(message);
+  };
+  const isNum = v => typeof v === "number" && Number.isFinite(v);
+  const isObject = v => v !== null && typeof v === "object" && !Array.isArray(v);
+  const optString = v => v === null || v === undefined || typeof v === "string";
+
+  if (!doc || !Array.isArray(doc.clubs)) {
+    return ["top level must be { version, clubs: [...] }"];
+  }
+
+  doc.clubs.forEach((club, i) => {
+    if (!isObject(club)) {
+      problems.push(`clubs[${i}] must be an object`);
+      return;
+    }
+    const at = `clubs[${i}]${club.id ? ` (${club.id})` : ""}`;
+    check(typeof club.id === "string" && ID_RE.test(club.id), `${at}.id must be a lowercase slug`);
+    check(!ids.has(club.id), `${at}.id is duplicated`);
+    ids.add(club.id);
+    check(typeof club.name === "string" && club.name.trim(), `${at}.name is required`);
+    check(PROVIDERS.includes(club.provider), `${at}.provider must be one of ${PROVIDERS.join(", ")}`);
+    check(REGIONS.includes(club.region), `${at}.region must be one of ${REGIONS.join(", ")}`);
+    check(
+      (club.lat == null && club.lng == null) ||
+        (isNum(club.lat) && isNum(club.lng) && Math.abs(club.lat) <= 90 && Math.abs(club.lng) <= 180),
+      `${at}.lat/lng must both be valid coordinates (or both null)`
+    );
+    check(optString(club.phone), `${at}.phone must be a string or null`);
+    check(club.provider !== "phone" || club.phone, `${at}.phone is required for phone-only clubs`);
+    check(optString(club.calendarUrl), `${at}.calendarUrl must be a string or null`);
+    check(isObject(club.feeGroups), `${at}.feeGroups must be an object`);
+    Object.entries(isObject(club.feeGroups) ? club.feeGroups : {}).forEach(([key, id]) => {
+      check(FEE_GROUP_KEY_RE.test(key), `${at}.feeGroups key "${key}" must look like 9, 18, 9_cart or 18_weekend`);
+      check(/^\d+$/.test(String(id)), `${at}.feeGroups.${key} must be numeric`);
+    });
+    check(Array.isArray(club.courses) && club.courses.length, `${at}.courses must list at least one course`);
+
+    (Array.isArray(club.courses) ? club.courses : []).forEach((course, j) => {
+      if (!isObject(course)) {
+        problems.push(`${at}.courses[${j}] must be an object`);
+        return;
+      }
+      const cat = `${at}.courses[${j}]${course.id ? ` (${course.id})` : ""}`;
+      check(typeof course.id === "string" && ID_RE.test(course.id), `${cat}.id must be a lowercase slug`);
+      check(!ids.has(course.id), `${cat}.id is duplicated`);
+      ids.add(course.id);
+      check(typeof course.name === "string" && course.name.trim(), `${cat}.name is required`);
+      check(course.holes === 9 || course.holes === 18, `${cat}.holes must be 9 or 18`);
+      check(typeof course.cart === "boolean", `${cat}.cart must be true or false`);
+      check([null, "weekday", "weekend"].includes(course.days), `${cat}.days must be weekday, weekend or null`);
+      check(course.feeGroupId === null || /^\d+$/.test(String(course.feeGroupId)), `${cat}.feeGroupId must be numeric or null`);
+      check(optString(course.bookingTemplate), `${cat}.bookingTemplate must be a string or null`);
+      check(optString(course.publicBookingTemplate), `${cat}.publicBookingTemplate must be a string or null`);
+      check(
+        club.provider === "phone" || club.provider === "other" || course.bookingTemplate,
+        `${cat}.bookingTemplate is required for ${club.provider} courses`
+      );
+      check(
+        !course.bookingTemplate || !course.bookingTemplate.includes("{feeGroupId}") || course.feeGroupId,
+        `${cat}.feeGroupId is required when bookingTemplate uses {feeGroupId}`
+      );
+    });
+  });
+
+  return problems;
+}
+
+function flatten(club, course) {
+  const { courses, ...clubFields } = club;
+  return {
+    id: course.id,
+    name: course.name,
+    clubId: club.id,
+    club: club.name,
+    provider: clubFields.provider,
+    region: clubFields.region,
+    holes: course.holes,
+    cart: course.cart,
+    days: course.days,
+    lat: clubFields.lat ?? null,
+    lng: clubFields.lng ?? null,
+    phone: clubFields.phone || null,
+    calendarUrl: clubFields.calendarUrl || null,
+    feeGroups: clubFields.feeGroups,
+    feeGroupId: course.feeGroupId,
+    bookingTemplate: course.bookingTemplate || null,
+    publicBookingTemplate: course.publicBookingTemplate || null
+  };
+}
+
+/**
+ * Read and validate the catalogue. Throws CatalogueError listing every
+ * problem so a bad edit fails at startup, not mid-search.
+ */
+export function loadCatalogue(file) {
+  let doc;
+  try {
+    doc = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new CatalogueError(file, [`could not parse JSON: ${err.message}`]);
+  }
+
+  const problems = validate(doc);
+  if (problems.length) throw new CatalogueError(file, problems);
+
+  const clubs = doc.clubs.map(({ courses, ...club }) => ({
+    ...club,
+    courses: courses.map(c => c.id)
+  }));
+  const courses = doc.clubs.flatMap(club => club.courses.map(c => flatten(club, c)));
+  return { clubs, courses };
+}
+
+/**
+ * Filter catalogue entries by comma-separated `region` / `provider` /
+ * `club` query values.
+ */
+export function filterCatalogue(items, query = {}) {
+  const list = v => String(v || "").split(",").map(s => s.trim().toLowerCase()).filter(Boolean);
+  const regions = list(query.region);
+  const providers = list(query.provider);
+  const clubs = list(query.club);
+
+  return items.filter(item =>
+    (!regions.length || regions.includes(item.region)) &&
+    (!providers.length || providers.includes(item.provider)) &&
+    (!clubs.length || clubs.includes(item.clubId || item.id))
+  );
+}
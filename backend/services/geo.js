@@ -0,0 +1,27 @@
+// backend/services/geo.js
+
+const EARTH_RADIUS_KM = 6371;
+
+function toRad(deg) {
+  return (deg * Math.PI) / 180;
+}
+
+export function hasCoordinates(point) {
+  return Boolean(point) && Number.isFinite(point.lat) && Number.isFinite(point.lng);
+}
+
+/**
+ * Great-circle distance in km between two { lat, lng } points, rounded
+ * to 0.1 km. Null when either point has no coordinates.
+ */
+export function haversineKm(a, b) {
+  if (!hasCoordinates(a) || !hasCoordinates(b)) return null;
+
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  const km = 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+  return Math.round(km * 10) / 10;
+}
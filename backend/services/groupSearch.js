@@ -0,0 +1,216 @@
+// backend/services/groupSearch.js
+import { normaliseCriteria, runSearch } from "./search.js";
+
+/**
+ * Group search: tee times for a group too big for one 4-ball, where
+ * every member has their own window and favourite courses.
+ *
+ * A combination is a run of tee times at one course on one date, each
+ * within `maxGapMinutes` of the previous, with room for everyone and a
+ * time inside each member's window for them. The course has to be one
+ * every member listed (members who list none play anywhere), and nobody
+ * is left to play a tee time on their own. Combinations are ranked by
+ * fit: a tighter spread of times and no more tee times than needed.
+ */
+export const MAX_MEMBERS = 16;
+const MAX_TEE_TIMES = 4;
+const DEFAULT_GAP_MINUTES = 10;
+const DEFAULT_LIMIT = 20;
+const TIME = /^\d{2}:\d{2}$/;
+
+const minutes = time => Number(time.slice(0, 2)) * 60 + Number(time.slice(3, 5));
+
+// Members who list courses only play those, by catalogue id or name
+const playsAt = (member, slot) =>
+  !member.courses.length || member.courses.includes(slot.courseId) || member.courses.includes(slot.name);
+
+const inWindow = (member, slot) => member.earliest <= slot.time && slot.time <= member.latest;
+
+function readMember(m, i) {
+  if (!m || typeof m !== "object") return { error: `members[${i}] must be an object` };
+  const name = String(m.name || `Player ${i + 1}`).slice(0, 40);
+  const { earliest = "06:00", latest = "17:00" } = m;
+  if (!TIME.test(earliest) || !TIME.test(latest)) {
+    return { error: `members[${i}] earliest and latest must be HH:MM` };
+  }
+  if (earliest > latest) return { error: `members[${i}] earliest is after latest` };
+  const courses = Array.isArray(m.courses) ? m.courses.filter(Boolean).map(String) : [];
+  return { member: { name, earliest, latest, courses } };
+}
+
+/**
+ * Validate a group search body:
+ *   { date | dates | dateFrom/dateTo..., holes, maxPrice,
+ *     members: [{ name, earliest, latest, courses }],
+ *     maxGapMinutes, limit }
+ * Returns { group } or { error }.
+ */
+export function normaliseGroup(input = {}) {
+  const { members: rawMembers, maxGapMinutes = DEFAULT_GAP_MINUTES, limit = DEFAULT_LIMIT } = input;
+
+  if (!Array.isArray(rawMembers) || rawMembers.length < 2) {
+    return { error: "members must list at least 2 players" };
+  }
+  if (rawMembers.length > MAX_MEMBERS) {
+    return { error: `a group can have at most ${MAX_MEMBERS} players` };
+  }
+
+  const members = [];
+  for (const [i, raw] of rawMembers.entries()) {
+    const { member, error } = readMember(raw, i);
+    if (error) return { error };
+    members.push(member);
+  }
+
+  const gap = Number(maxGapMinutes);
+  if (!Number.isFinite(gap) || gap < 0 || gap > 60) {
+    return { error: "maxGapMinutes must be between 0 and 60" };
+  }
+
+  // One search covering everyone: the widest window, and only the
+  // courses every member who listed any is willing to play
+  const lists = members.filter(m => m.courses.length).map(m => m.courses);
+  const shared = lists.length ? lists[0].filter(c => lists.every(list => list.includes(c))) : [];
+  if (lists.length && !shared.length) return { error: "no course is on every member's list" };
+
+  const { criteria, error } = normaliseCriteria({
+    date: input.date,
+    dates: input.dates,
+    dateFrom: input.dateFrom,
+    dateTo: input.dateTo,
+    weekdays: input.weekdays,
+    holes: input.holes,
+    maxPrice: input.maxPrice,
+    earliest: members.map(m => m.earliest).sort()[0],
+    latest: members.map(m => m.latest).sort().pop(),
+    partySize: 1,
+    courses: [...new Set(shared)]
+  });
+  if (error) return { error };
+
+  return {
+    group: {
+      criteria,
+      members,
+      maxGapMinutes: gap,
+      limit: Math.min(Math.max(Number(limit) || DEFAULT_LIMIT, 1), 100)
+    }
+  };
+}
+
+/**
+ * Seat members in `run` (tee times sorted by time). Each tee time takes
+ * whoever's window closes soonest first, which seats everyone whenever
+ * any assignment can. A player left on their own then gets company from
+ * a tee time with three or more. Returns assignments, or null when
+ * someone can't be seated or would still play alone.
+ */
+function seatMembers(run, members) {
+  const waiting = [...members];
+  const teeGroups = run.map(() => []);
+
+  run.forEach((slot, i) => {
+    const fits = waiting
+      .filter(m => inWindow(m, slot))
+      .sort((a, b) => a.latest.localeCompare(b.latest))
+      .slice(0, slot.spots);
+    fits.forEach(m => {
+      waiting.splice(waiting.indexOf(m), 1);
+      teeGroups[i].push(m);
+    });
+  });
+  if (waiting.length) return null;
+
+  for (const [i, alone] of teeGroups.entries()) {
+    if (alone.length !== 1) continue;
+    if (run[i].spots < 2) return null;
+    const from = teeGroups.find(g => g.length >= 3 && g.some(m => inWindow(m, run[i])));
+    if (!from) return null;
+    const mover = from.find(m => inWindow(m, run[i]));
+    from.splice(from.indexOf(mover), 1);
+    alone.push(mover);
+  }
+
+  return run.flatMap((slot, i) =>
+    teeGroups[i].map(m => ({ member: m.name, slotId: slot.id, time: slot.time }))
+  );
+}
+
+/**
+ * Every run of tee times at one course and date that seats the group.
+ * Runs start at each tee time and grow until everyone can be seated,
+ * the next tee time is too far away, or MAX_TEE_TIMES is reached.
+ */
+export function combinationsFor(slots, group) {
+  const { members, maxGapMinutes } = group;
+  // Everyone plays together, so only at courses nobody ruled out
+  const sorted = slots
+    .filter(slot => members.every(m => playsAt(m, slot)))
+    .sort((a, b) => a.time.localeCompare(b.time));
+  const fewest = Math.ceil(members.length / 4);
+  const combos = [];
+
+  for (let start = 0; start < sorted.length; start++) {
+    const run = [sorted[start]];
+    let room = sorted[start].spots;
+    let seats = null;
+
+    for (let next = start + 1; ; next++) {
+      if (room >= members.length) {
+        seats = seatMembers(run, members);
+        if (seats) break;
+      }
+      if (next >= sorted.length || run.length === MAX_TEE_TIMES) break;
+      const gap = minutes(sorted[next].time) - minutes(run[run.length - 1].time);
+      if (gap > maxGapMinutes) break;
+      run.push(sorted[next]);
+      room += sorted[next].spots;
+    }
+    // A tee time nobody plays in would leave a gap in the group
+    if (!seats || run.some(slot => !seats.some(seat => seat.slotId === slot.id))) continue;
+
+    const spanMinutes = minutes(run[run.length - 1].time) - minutes(run[0].time);
+    const courseId = run[0].courseId;
+    // Members who asked for this course by name, rather than any course
+    const preferredBy = members.filter(m => m.courses.length).length;
+    const score = 100 - spanMinutes - 10 * (run.length - fewest);
+
+    combos.push({
+      courseId,
+      name: run[0].name,
+      date: run[0].date,
+      teeTimes: run.map(({ id, time, spots, price, url }) => ({ id, time, spots, price, url })),
+      seats,
+      spanMinutes,
+      preferredBy,
+      score
+    });
+  }
+  return combos;
+}
+
+/**
+ * Run the group search. Resolves to { combinations, status } with the
+ * best fitting combinations first.
+ */
+export async function runGroupSearch(courses, group) {
+  const { slots, status } = await runSearch(courses, group.criteria);
+
+  const byCourseDate = new Map();
+  slots.forEach(s => {
+    const key = `${s.courseId}|${s.date}`;
+    if (!byCourseDate.has(key)) byCourseDate.set(key, []);
+    byCourseDate.get(key).push(s);
+  });
+
+  const combinations = [...byCourseDate.values()]
+    .flatMap(list => combinationsFor(list, group))
+    .sort((a, b) =>
+      b.score - a.score ||
+      a.date.localeCompare(b.date) ||
+      a.teeTimes[0].time.localeCompare(b.teeTimes[0].time)
+    )
+    .slice(0, group.limit);
+
+  return { combinations, status };
+}
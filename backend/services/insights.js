@@ -0,0 +1,165 @@
+// backend/services/insights.js
+import { readSnapshots } from "./snapshots.js";
+
+/**
+ * "Best time to book" insights from the stored snapshots, per course and
+ * weekday of the play date:
+ *
+ *  - fillCurve  how full the sheet (or the time window) is N days out
+ *  - release    when tee times first appear: days out and time of day
+ *  - odds       share of play dates where the window still had room
+ *               for the party N days out
+ *
+ * Each play date counts once per days-out value (its last snapshot that
+ * day), so a busy search day doesn't outweigh a quiet one.
+ */
+export const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const GROUP_SIZE = 4;
+const MAX_DAYS_OUT = 30;
+
+const perthDay = iso => new Date(iso).toLocaleDateString("en-CA", { timeZone: "Australia/Perth" });
+const perthMinutes = iso => {
+  const [h, m] = new Date(iso)
+    .toLocaleTimeString("en-GB", { timeZone: "Australia/Perth", hour12: false })
+    .split(":")
+    .map(Number);
+  return (h % 24) * 60 + m;
+};
+const hhmm = mins => `${String(Math.floor(mins / 60)).padStart(2, "0")}:${String(mins % 60).padStart(2, "0")}`;
+const weekdayOf = date => WEEKDAYS[new Date(date + "T00:00:00Z").getUTCDay()];
+const round2 = n => Math.round(n * 100) / 100;
+
+function daysOut(snap) {
+  return Math.round((Date.parse(snap.date) - Date.parse(perthDay(snap.fetchedAt))) / DAY_MS);
+}
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Rows inside the time window, spots clamped to a 4-ball
+function windowRows(snap, { earliest, latest }) {
+  return snap.rows
+    .filter(([time]) => time >= earliest && time <= latest)
+    .map(([time, spots]) => [time, Math.min(GROUP_SIZE, Math.max(0, Number(spots) || 0))]);
+}
+
+/**
+ * Last snapshot for each play date and days-out value. Snapshots taken
+ * after the play date, or before its sheet existed, are left out.
+ */
+function dailyLatest(snaps) {
+  const latest = new Map();
+  for (const snap of snaps) {
+    const out = daysOut(snap);
+    if (out < 0 || out > MAX_DAYS_OUT || !snap.rows.length) continue;
+    latest.set(`${snap.date}|${out}`, { ...snap, daysOut: out });
+  }
+  return [...latest.values()];
+}
+
+function groupBy(items, key) {
+  const groups = new Map();
+  items.forEach(item => {
+    const k = key(item);
+    if (!groups.has(k)) groups.set(k, []);
+    groups.get(k).push(item);
+  });
+  return groups;
+}
+
+function fillCurve(daily, window) {
+  return [...groupBy(daily, s => s.daysOut).entries()]
+    .map(([out, snaps]) => {
+      const rates = snaps
+        .map(s => windowRows(s, window))
+        .filter(rows => rows.length)
+        .map(rows => 1 - rows.reduce((sum, [, spots]) => sum + spots, 0) / (rows.length * GROUP_SIZE));
+      return { daysOut: out, fillRate: rates.length ? round2(rates.reduce((a, b) => a + b, 0) / rates.length) : null, samples: rates.length };
+    })
+    .filter(p => p.samples)
+    .sort((a, b) => a.daysOut - b.daysOut);
+}
+
+function odds(daily, window) {
+  return [...groupBy(daily, s => s.daysOut).entries()]
+    .map(([out, snaps]) => {
+      const open = snaps.filter(s =>
+        windowRows(s, window).some(([, spots]) => spots >= window.partySize)
+      ).length;
+      return { daysOut: out, odds: round2(open / snaps.length), samples: snaps.length };
+    })
+    .sort((a, b) => a.daysOut - b.daysOut);
+}
+
+/**
+ * A release is seen when a play date's sheet goes from empty to having
+ * rows between two snapshots; it happened at most `withinMinutes`
+ * before the snapshot that first showed rows. `horizonDaysOut` is how
+ * far ahead rows have been seen at all, seen release or not.
+ */
+function release(snaps) {
+  const releases = [];
+  const horizons = [];
+
+  for (const dated of groupBy(snaps, s => s.date).values()) {
+    const firstWithRows = dated.findIndex(s => s.rows.length);
+    if (firstWithRows === -1) continue;
+    horizons.push(daysOut(dated[firstWithRows]));
+
+    const prev = dated[firstWithRows - 1];
+    if (!prev) continue;
+    const seen = dated[firstWithRows];
+    releases.push({
+      daysOut: daysOut(seen),
+      minutes: perthMinutes(seen.fetchedAt),
+      withinMinutes: Math.round((Date.parse(seen.fetchedAt) - Date.parse(prev.fetchedAt)) / 60000)
+    });
+  }
+
+  const typicalMinutes = median(releases.map(r => r.minutes));
+  return {
+    observed: releases.length,
+    typicalDaysOut: median(releases.map(r => r.daysOut)),
+    typicalTime: typicalMinutes === null ? null : hhmm(Math.round(typicalMinutes)),
+    medianWithinMinutes: median(releases.map(r => r.withinMinutes)),
+    horizonDaysOut: median(horizons)
+  };
+}
+
+/**
+ * Insights for one course over the last `days` days of snapshots.
+ * `weekday` ("sat", ...) narrows to one weekday; otherwise every weekday
+ * with data is reported.
+ */
+export async function courseInsights(courseId, {
+  weekday = null,
+  earliest = "00:00",
+  latest = "23:59",
+  partySize = 1,
+  days = 90
+} = {}) {
+  const window = { earliest, latest, partySize };
+  const snaps = (await readSnapshots(courseId, { days }))
+    .filter(s => !weekday || weekdayOf(s.date) === weekday);
+
+  const weekdays = [...groupBy(snaps, s => weekdayOf(s.date)).entries()]
+    .sort(([a], [b]) => WEEKDAYS.indexOf(a) - WEEKDAYS.indexOf(b))
+    .map(([day, daySnaps]) => {
+      const daily = dailyLatest(daySnaps);
+      return {
+        weekday: day,
+        playDates: new Set(daySnaps.map(s => s.date)).size,
+        fillCurve: fillCurve(daily, window),
+        release: release(daySnaps),
+        odds: odds(daily, window)
+      };
+    });
+
+  return { courseId, days, window, snapshots: snaps.length, weekdays };
+}
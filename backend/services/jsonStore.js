@@ -0,0 +1,68 @@
+// backend/services/jsonStore.js
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Runtime data (watches, accounts, ...) lives outside the checked-in
+ * backend/data files. Override with TEERADAR_DATA_DIR on the host.
+ */
+export const DATA_DIR =
+  process.env.TEERADAR_DATA_DIR || path.join(__dirname, "..", "data", "store");
+
+/**
+ * Tiny JSON-file store. The whole document is kept in memory and written
+ * back (atomically, via a temp file) on every `update`.
+ *
+ *   const store = createJsonStore("watches.json", { watches: [] });
+ *   store.read().watches
+ *   store.update(doc => { doc.watches.push(w); });
+ *
+ * Counters bumped on every request use `updateLater` instead, and the
+ * owner calls `flush` on a timer.
+ */
+export function createJsonStore(fileName, fallback) {
+  const file = path.join(DATA_DIR, fileName);
+  let doc = structuredClone(fallback);
+  let dirty = false;
+
+  if (fs.existsSync(file)) {
+    try {
+      doc = { ...doc, ...JSON.parse(fs.readFileSync(file, "utf8")) };
+    } catch (err) {
+      console.warn(`Could not read ${file}, starting empty:`, err.message);
+    }
+  }
+
+  function save() {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    const tmp = file + ".tmp";
+    fs.writeFileSync(tmp, JSON.stringify(doc, null, 2));
+    fs.renameSync(tmp, file);
+    dirty = false;
+  }
+
+  return {
+    file,
+    read() {
+      return doc;
+    },
+    update(mutator) {
+      const result = mutator(doc);
+      save();
+      return result;
+    },
+    // Change the document now, write it with the next flush or update
+    updateLater(mutator) {
+      const result = mutator(doc);
+      dirty = true;
+      return result;
+    },
+    flush() {
+      if (dirty) save();
+    }
+  };
+}
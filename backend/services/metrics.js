@@ -0,0 +1,187 @@
+// backend/services/metrics.js
+import { createJsonStore } from "./jsonStore.js";
+import { todayInPerth } from "../scrapers/helpers.js";
+
+/**
+ * Usage and scraper health metrics for the admin dashboard.
+ *
+ *   {
+ *     courses: {
+ *       [courseId]: {
+ *         runs, successes, failures, totalLatencyMs,
+ *         lastStatus, lastRunAt, lastSuccessAt, lastRows,
+ *         zeroRowStreak,               runs in a row with an empty sheet
+ *         recent: [{ at, status, latencyMs, rows }]
+ *       }
+ *     },
+ *     searches:      { [YYYY-MM-DD]: count },
+ *     bookingClicks: { [YYYY-MM-DD]: { [courseId]: count } }
+ *   }
+ *
+ * Only real upstream reads count as runs: they're recorded by the
+ * availability cache's loader, so cache hits, searches that shared an
+ * in-flight read, skipped and phone-only courses don't add any, and
+ * background refreshes of stale entries do.
+ *
+ * Every search, click and run changes the counts, so they're changed in
+ * memory and written every METRICS_FLUSH_MS; a crash loses at most that
+ * much. metricsSummary reads the in-memory counts.
+ */
+const store = createJsonStore("metrics.json", {
+  courses: {},
+  searches: {},
+  bookingClicks: {}
+});
+
+// A parser that keeps finding nothing has probably been broken by a site change
+export const BROKEN_AFTER = Number(process.env.SCRAPER_BROKEN_AFTER) || 5;
+
+const RECENT_RUNS = 20;
+const KEEP_DAYS = 90;
+const FLUSH_MS = Number(process.env.METRICS_FLUSH_MS) || 60 * 1000;
+
+const SUCCESS = ["ok", "no-availability"];
+
+function pruneDays(byDay) {
+  const days = Object.keys(byDay).sort();
+  days.slice(0, Math.max(0, days.length - KEEP_DAYS)).forEach(d => delete byDay[d]);
+}
+
+/**
+ * Record one read of a course's timesheet: `status` is "ok" or
+ * "no-availability" with the sheet's `rows`, or the failure code
+ * ("fetch-error", "http-status", "parse-error").
+ */
+export function recordScrapeRun(course, { status, latencyMs = 0, rows = null }) {
+  const at = new Date().toISOString();
+  store.updateLater(doc => {
+    const c = doc.courses[course.id] || (doc.courses[course.id] = {
+      runs: 0,
+      successes: 0,
+      failures: 0,
+      totalLatencyMs: 0,
+      zeroRowStreak: 0,
+      recent: []
+    });
+    const ok = SUCCESS.includes(status);
+    if (!ok) rows = null;
+
+    c.runs++;
+    c.totalLatencyMs += latencyMs;
+    c.lastStatus = status;
+    c.lastRunAt = at;
+    if (ok) {
+      c.successes++;
+      c.lastRows = rows;
+      if (rows > 0) c.lastSuccessAt = at;
+    } else {
+      c.failures++;
+    }
+
+    // Network trouble says nothing about the parser; an empty sheet or
+    // a parse error does
+    const wasBroken = c.zeroRowStreak >= BROKEN_AFTER;
+    if (rows > 0) c.zeroRowStreak = 0;
+    else if (rows === 0 || status === "parse-error") c.zeroRowStreak++;
+    if (!wasBroken && c.zeroRowStreak >= BROKEN_AFTER) {
+      console.warn(`${course.name}: ${c.zeroRowStreak} runs in a row without rows, parser may be broken`);
+    }
+
+    c.recent = [{ at, status, latencyMs, rows }, ...c.recent].slice(0, RECENT_RUNS);
+  });
+}
+
+export function recordSearch() {
+  const day = todayInPerth();
+  store.updateLater(doc => {
+    doc.searches[day] = (doc.searches[day] || 0) + 1;
+    pruneDays(doc.searches);
+  });
+}
+
+export function recordBookingClick(courseId) {
+  const day = todayInPerth();
+  store.updateLater(doc => {
+    const clicks = doc.bookingClicks[day] || (doc.bookingClicks[day] = {});
+    clicks[courseId] = (clicks[courseId] || 0) + 1;
+    pruneDays(doc.bookingClicks);
+  });
+}
+
+/**
+ * Write the counts recorded since the last flush.
+ */
+export function flushMetrics() {
+  store.flush();
+}
+
+setInterval(flushMetrics, FLUSH_MS).unref();
+
+const rate = (n, d) => (d ? Math.round((n / d) * 1000) / 10 : null);
+const sum = values => values.reduce((a, b) => a + b, 0);
+
+function lastDays(n) {
+  const days = [];
+  const today = new Date(todayInPerth() + "T00:00:00Z");
+  for (let i = n - 1; i >= 0; i--) {
+    days.push(new Date(today.getTime() - i * 24 * 60 * 60 * 1000).toISOString().slice(0, 10));
+  }
+  return days;
+}
+
+/**
+ * Dashboard summary. `courses` is the catalogue, so courses that have
+ * never been checked still get a row. Success rates are percentages.
+ */
+export function metricsSummary(courses, { days = 14 } = {}) {
+  const doc = store.read();
+  const window = lastDays(days);
+  const today = window[window.length - 1];
+
+  const clicksByCourse = {};
+  Object.values(doc.bookingClicks).forEach(perCourse => {
+    Object.entries(perCourse).forEach(([id, n]) => {
+      clicksByCourse[id] = (clicksByCourse[id] || 0) + n;
+    });
+  });
+  const clicksOn = day => sum(Object.values(doc.bookingClicks[day] || {}));
+
+  return {
+    brokenAfter: BROKEN_AFTER,
+    searches: {
+      today: doc.searches[today] || 0,
+      total: sum(Object.values(doc.searches)),
+      byDay: window.map(date => ({ date, count: doc.searches[date] || 0 }))
+    },
+    bookingClicks: {
+      today: clicksOn(today),
+      total: sum(Object.values(clicksByCourse)),
+      byDay: window.map(date => ({ date, count: clicksOn(date) }))
+    },
+    courses: courses.map(course => {
+      const c = doc.courses[course.id];
+      const base = {
+        courseId: course.id,
+        name: course.name,
+        provider: course.provider || null,
+        bookingClicks: clicksByCourse[course.id] || 0
+      };
+      if (!c) return { ...base, runs: 0, likelyBroken: false };
+
+      const recentOk = c.recent.filter(r => SUCCESS.includes(r.status)).length;
+      return {
+        ...base,
+        runs: c.runs,
+        successRate: rate(c.successes, c.runs),
+        recentSuccessRate: rate(recentOk, c.recent.length),
+        avgLatencyMs: c.runs ? Math.round(c.totalLatencyMs / c.runs) : null,
+        lastStatus: c.lastStatus,
+        lastRunAt: c.lastRunAt,
+        lastSuccessAt: c.lastSuccessAt || null,
+        lastRows: c.lastRows ?? null,
+        zeroRowStreak: c.zeroRowStreak,
+        likelyBroken: c.zeroRowStreak >= BROKEN_AFTER
+      };
+    })
+  };
+}
@@ -0,0 +1,201 @@
+// backend/services/profiles.js
+import { createJsonStore } from "./jsonStore.js";
+import { setRole } from "./auth.js";
+
+/**
+ * Per-user golf profile, favourites, default search and membership,
+ * stored in profiles.json keyed by user id.
+ */
+const store = createJsonStore("profiles.json", { profiles: {} });
+
+export const PLANS = {
+  monthly: { label: "Monthly", months: 1 },
+  annual: { label: "Annual", months: 12 }
+};
+
+const MAX_FAVOURITES = 50;
+const PREFERENCES = ["", "Walking", "Cart"];
+const TIME_RE = /^\d{2}:\d{2}$/;
+
+function defaultProfile() {
+  return {
+    homeCourse: "",
+    handicap: null,
+    preference: "",
+    partySize: 4,
+    favourites: [],
+    searchPreset: { earliest: "06:00", latest: "17:00", holes: "", partySize: 4 },
+    membership: null,
+    updatedAt: null
+  };
+}
+
+export function getProfile(userId) {
+  const saved = store.read().profiles[userId] || {};
+  const base = defaultProfile();
+  return {
+    ...base,
+    ...saved,
+    searchPreset: { ...base.searchPreset, ...(saved.searchPreset || {}) }
+  };
+}
+
+function save(userId, profile) {
+  store.update(doc => {
+    doc.profiles[userId] = { ...profile, updatedAt: new Date().toISOString() };
+  });
+  return getProfile(userId);
+}
+
+function validPartySize(n) {
+  return Number.isInteger(n) && n >= 1 && n <= 4;
+}
+
+/**
+ * Apply a partial profile update. Unknown keys are ignored and the
+ * membership can't be changed here. Returns { profile } or { error }.
+ */
+export function updateProfile(userId, patch = {}) {
+  const profile = getProfile(userId);
+
+  if ("homeCourse" in patch) profile.homeCourse = String(patch.homeCourse || "").trim();
+
+  if ("handicap" in patch) {
+    if (patch.handicap === null || patch.handicap === "") {
+      profile.handicap = null;
+    } else {
+      const h = Number(patch.handicap);
+      if (!Number.isFinite(h) || h < -10 || h > 54) return { error: "handicap must be between -10 and 54" };
+      profile.handicap = h;
+    }
+  }
+
+  if ("preference" in patch) {
+    if (!PREFERENCES.includes(patch.preference)) return { error: "preference must be Walking, Cart or empty" };
+    profile.preference = patch.preference;
+  }
+
+  if ("partySize" in patch) {
+    const n = Number(patch.partySize);
+    if (!validPartySize(n)) return { error: "partySize must be 1-4" };
+    profile.partySize = n;
+  }
+
+  if ("favourites" in patch) {
+    if (!Array.isArray(patch.favourites)) return { error: "favourites must be a list of course ids" };
+    profile.favourites = [...new Set(patch.favourites.map(String).filter(Boolean))].slice(0, MAX_FAVOURITES);
+  }
+
+  if ("searchPreset" in patch) {
+    const preset = { ...profile.searchPreset, ...(patch.searchPreset || {}) };
+    if (!TIME_RE.test(preset.earliest) || !TIME_RE.test(preset.latest)) {
+      return { error: "searchPreset times must be HH:MM" };
+    }
+    if (!["", "9", "18"].includes(String(preset.holes))) return { error: "searchPreset.holes must be 9, 18 or empty" };
+    preset.holes = String(preset.holes);
+    preset.partySize = Number(preset.partySize);
+    if (!validPartySize(preset.partySize)) return { error: "searchPreset.partySize must be 1-4" };
+    profile.searchPreset = {
+      earliest: preset.earliest,
+      latest: preset.latest,
+      holes: preset.holes,
+      partySize: preset.partySize
+    };
+  }
+
+  return { profile: save(userId, profile) };
+}
+
+export function addFavourite(userId, course) {
+  const profile = getProfile(userId);
+  return updateProfile(userId, { favourites: [...profile.favourites, course] });
+}
+
+export function removeFavourite(userId, course) {
+  const profile = getProfile(userId);
+  return updateProfile(userId, { favourites: profile.favourites.filter(f => f !== course) });
+}
+
+function addMonths(date, months) {
+  const d = new Date(date);
+  d.setUTCMonth(d.getUTCMonth() + months);
+  return d;
+}
+
+// Paid up (or cancelled but not yet run out)
+function isCurrent(m, now = new Date()) {
+  return Boolean(m) && m.status !== "expired" && new Date(m.expiresAt) > now;
+}
+
+/**
+ * Start (or extend) a plan membership for `user`. Renewing before
+ * expiry adds the new period on top of what's left, and undoes a
+ * cancellation. Memberships are granted by an admin.
+ * Returns { membership, user } or { error }.
+ */
+export function startMembership(user, planId) {
+  const plan = typeof planId === "string" && Object.hasOwn(PLANS, planId) ? PLANS[planId] : null;
+  if (!plan) return { error: `plan must be one of ${Object.keys(PLANS).join(", ")}` };
+
+  const profile = getProfile(user.id);
+  const now = new Date();
+  const current = isCurrent(profile.membership, now) ? profile.membership : null;
+
+  profile.membership = {
+    plan: planId,
+    status: "active",
+    startedAt: current ? current.startedAt : now.toISOString(),
+    expiresAt: addMonths(current ? new Date(current.expiresAt) : now, plan.months).toISOString(),
+    cancelledAt: null
+  };
+  save(user.id, profile);
+
+  const updated = user.role === "admin" ? user : setRole(user.id, "member");
+  return { membership: profile.membership, user: updated };
+}
+
+/**
+ * Stop a plan from renewing. The member keeps their role until the
+ * paid period ends, when refreshMembership drops it.
+ * Returns { membership, user } or { error }.
+ */
+export function cancelMembership(user) {
+  const profile = getProfile(user.id);
+  const m = profile.membership;
+  if (!m || m.status !== "active") return { error: "there is no active membership to cancel" };
+
+  profile.membership = { ...m, status: "cancelled", cancelledAt: new Date().toISOString() };
+  save(user.id, profile);
+  return { membership: profile.membership, user };
+}
+
+/**
+ * An admin set the role by hand: forget any plan on record, so an old
+ * expired plan can't take a granted membership away again.
+ */
+export function clearMembership(userId) {
+  const profile = getProfile(userId);
+  if (!profile.membership) return;
+  profile.membership = null;
+  save(userId, profile);
+}
+
+/**
+ * Drop members whose plan has run out (cancelled or not) back to the
+ * "user" role. Called on every authenticated request, so expiry takes
+ * effect immediately. Members granted by an admin (no plan on record)
+ * are left alone.
+ */
+export function refreshMembership(user) {
+  if (!user || user.role !== "member") return user;
+
+  const profile = getProfile(user.id);
+  const m = profile.membership;
+  if (!m || isCurrent(m)) return user;
+
+  if (m.status !== "expired") {
+    profile.membership = { ...m, status: "expired" };
+    save(user.id, profile);
+  }
+  return setRole(user.id, "user");
+}
@@ -0,0 +1,323 @@
+// backend/services/search.js
+import { scrapeCourseWithStatus } from "../scrapers/scrapeCourse.js";
+import { haversineKm, hasCoordinates } from "./geo.js";
+
+export const SORTS = ["time", "distance", "price", "spots"];
+
+// Upper bounds so one search can't fan out into hundreds of upstream requests
+export const MAX_SEARCH_DATES = 14;
+export const MAX_RANGE_DAYS = 31;
+const SEARCH_CONCURRENCY = Number(process.env.SEARCH_CONCURRENCY) || 6;
+
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toNumber(v) {
+  if (v === undefined || v === null || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : NaN;
+}
+
+/**
+ * Search origin from either `origin: { lat, lng }` or flat
+ * `originLat` / `originLng` (handy for query strings).
+ */
+function readOrigin(input) {
+  const src = input.origin && typeof input.origin === "object"
+    ? input.origin
+    : { lat: input.originLat, lng: input.originLng };
+  const lat = toNumber(src.lat);
+  const lng = toNumber(src.lng);
+  if (lat === null && lng === null) return { origin: null };
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    return { error: "origin must have a valid lat and lng" };
+  }
+  return { origin: { lat, lng } };
+}
+
+function isIsoDate(v) {
+  if (typeof v !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(v)) return false;
+  const d = new Date(v + "T00:00:00Z");
+  return !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === v;
+}
+
+function isTime(v) {
+  return typeof v === "string" && /^([01]\d|2[0-3]):[0-5]\d$/.test(v);
+}
+
+// Arrays or comma-separated strings (for query strings)
+function toList(v) {
+  if (v === undefined || v === null || v === "") return [];
+  return Array.isArray(v) ? v : String(v).split(",").map(x => x.trim());
+}
+
+/**
+ * Weekday filter as day numbers (0 = Sunday). Accepts numbers or
+ * names ("sat", "Saturday"). Returns { weekdays } or { error }.
+ */
+function readWeekdays(input) {
+  const weekdays = [];
+  for (const raw of toList(input)) {
+    const day = /^\d$/.test(String(raw))
+      ? Number(raw)
+      : WEEKDAYS.indexOf(String(raw).slice(0, 3).toLowerCase());
+    if (!(day >= 0 && day <= 6)) return { error: `unknown weekday "${raw}"` };
+    if (!weekdays.includes(day)) weekdays.push(day);
+  }
+  return { weekdays };
+}
+
+/**
+ * Every date being searched, from a single `date`, a `dates` list
+ * and/or a `dateFrom` / `dateTo` range. `weekdays` narrows the range
+ * only; dates listed explicitly are always kept.
+ * Returns { dates } (sorted, unique) or { error }.
+ */
+function readDates(input) {
+  const picked = [...toList(input.date), ...toList(input.dates)];
+  const bad = picked.find(d => !isIsoDate(d));
+  if (bad !== undefined) return { error: `invalid date "${bad}", expected YYYY-MM-DD` };
+
+  const { dateFrom, dateTo } = input;
+  if (dateFrom || dateTo) {
+    if (!isIsoDate(dateFrom) || !isIsoDate(dateTo)) {
+      return { error: "dateFrom and dateTo must both be YYYY-MM-DD" };
+    }
+    const start = Date.parse(dateFrom + "T00:00:00Z");
+    const end = Date.parse(dateTo + "T00:00:00Z");
+    if (end < start) return { error: "dateTo is before dateFrom" };
+    if ((end - start) / DAY_MS + 1 > MAX_RANGE_DAYS) {
+      return { error: `date range is limited to ${MAX_RANGE_DAYS} days` };
+    }
+
+    const { weekdays, error } = readWeekdays(input.weekdays);
+    if (error) return { error };
+
+    for (let t = start; t <= end; t += DAY_MS) {
+      const d = new Date(t);
+      if (!weekdays.length || weekdays.includes(d.getUTCDay())) {
+        picked.push(d.toISOString().slice(0, 10));
+      }
+    }
+  }
+
+  const dates = [...new Set(picked)].sort();
+  if (!dates.length) {
+    return { error: dateFrom ? "no dates in the range match the weekday filter" : "date is required" };
+  }
+  if (dates.length > MAX_SEARCH_DATES) {
+    return { error: `a search can cover at most ${MAX_SEARCH_DATES} dates` };
+  }
+  return { dates };
+}
+
+/**
+ * Turn a loose request body (from book.html, a saved watch, ...) into
+ * the criteria object the scrapers expect. `criteria.dates` lists
+ * every date searched; `criteria.date` is the first of them.
+ * Returns { criteria } or { error } for a 400.
+ */
+export function normaliseCriteria(input = {}) {
+  const {
+    earliest = "06:00",
+    latest = "17:00",
+    holes = "",
+    partySize = 1,
+    courses = [],
+    sort = "time"
+  } = input;
+
+  const dated = readDates(input);
+  if (dated.error) return { error: dated.error };
+
+  if (!isTime(earliest)) return { error: `invalid earliest "${earliest}", expected HH:MM (24-hour)` };
+  if (!isTime(latest)) return { error: `invalid latest "${latest}", expected HH:MM (24-hour)` };
+  if (earliest > latest) return { error: "earliest is after latest" };
+
+  if (!["", null, "9", "18", 9, 18].includes(holes)) return { error: "holes must be 9 or 18" };
+
+  const players = Number(partySize);
+  if (!Number.isInteger(players) || players < 1 || players > 4) {
+    return { error: "partySize must be a whole number from 1 to 4" };
+  }
+
+  const { origin, error } = readOrigin(input);
+  if (error) return { error };
+
+  const maxDistanceKm = toNumber(input.maxDistanceKm);
+  if (Number.isNaN(maxDistanceKm) || (maxDistanceKm !== null && maxDistanceKm <= 0)) {
+    return { error: "maxDistanceKm must be a positive number" };
+  }
+  if (maxDistanceKm !== null && !origin) {
+    return { error: "maxDistanceKm needs an origin" };
+  }
+
+  const maxPrice = toNumber(input.maxPrice);
+  if (Number.isNaN(maxPrice) || (maxPrice !== null && maxPrice <= 0)) {
+    return { error: "maxPrice must be a positive number" };
+  }
+
+  if (!SORTS.includes(sort)) return { error: `sort must be one of ${SORTS.join(", ")}` };
+  if (sort === "distance" && !origin) return { error: "sort=distance needs an origin" };
+
+  return {
+    criteria: {
+      date: dated.dates[0],
+      dates: dated.dates,
+      earliest,
+      latest,
+      holes: holes === "" || holes === null ? "" : String(holes),
+      partySize: players,
+      courses: Array.isArray(courses) ? courses.filter(Boolean).map(String) : [],
+      origin,
+      maxDistanceKm,
+      maxPrice,
+      sort
+    }
+  };
+}
+
+const priceValue = slot => (typeof slot.price === "number" ? slot.price : null);
+
+// nulls (unknown distance / price) always sort last
+function compareNullable(a, b) {
+  if (a === null && b === null) return 0;
+  if (a === null) return 1;
+  if (b === null) return -1;
+  return a - b;
+}
+
+const byTime = (a, b) =>
+  (a.date || "").localeCompare(b.date || "") ||
+  a.time.localeCompare(b.time) ||
+  a.name.localeCompare(b.name);
+
+const COMPARATORS = {
+  time: byTime,
+  distance: (a, b) => compareNullable(a.distanceKm, b.distanceKm) || byTime(a, b),
+  price: (a, b) => compareNullable(priceValue(a), priceValue(b)) || byTime(a, b),
+  spots: (a, b) => b.spots - a.spots || byTime(a, b)
+};
+
+export function sortSlots(slots, sort = "time") {
+  return [...slots].sort(COMPARATORS[sort] || byTime);
+}
+
+/**
+ * Like Promise.all(items.map(fn)) but with at most `limit` calls in
+ * flight at once.
+ */
+async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Cheapest priced slot per course, cheapest course first:
+ *   [{ courseId, name, price, priceCategory, date, time, url }]
+ */
+export function cheapestPerCourse(slots) {
+  const best = new Map();
+  for (const s of slots) {
+    if (typeof s.price !== "number") continue;
+    const prev = best.get(s.courseId);
+    if (!prev || s.price < prev.price) best.set(s.courseId, s);
+  }
+  return [...best.values()]
+    .sort((a, b) => a.price - b.price || byTime(a, b))
+    .map(({ courseId, name, price, priceCategory, date, time, url }) => ({
+      courseId, name, price, priceCategory, date, time, url
+    }));
+}
+
+function skippedStatus(course, message) {
+  return {
+    courseId: course.id,
+    name: course.name,
+    provider: course.provider || null,
+    status: "skipped",
+    message,
+    latencyMs: 0,
+    slots: 0
+  };
+}
+
+// The courses a search covers: all of them unless criteria.courses
+// names some, by catalogue id or name
+function coursesFor(courses, criteria) {
+  return criteria.courses && criteria.courses.length
+    ? courses.filter(c => criteria.courses.includes(c.id) || criteria.courses.includes(c.name))
+    : courses;
+}
+
+/**
+ * How many course-date checks a search fans out to, which is what the
+ * site's per-address search allowance is measured in.
+ */
+export function searchCost(courses, criteria) {
+  return (criteria.dates || [criteria.date]).length * coursesFor(courses, criteria).length;
+}
+
+/**
+ * Run a search across `courses` (optionally narrowed to
+ * `criteria.courses`, by catalogue id or name) for every date in
+ * `criteria.dates` and return { slots, byDate, cheapest, status }.
+ *
+ * `byDate` maps each searched date to its (sorted) slots; `cheapest`
+ * is the cheapest priced slot at each course. Each status
+ * entry covers one course on one date, so carries `date`.
+ *
+ * With an origin, every slot and status entry gets `distanceKm`
+ * (null when the course location is unknown), and courses beyond
+ * `maxDistanceKm` are skipped without being fetched.
+ */
+export async function runSearch(courses, criteria) {
+  const { origin, maxDistanceKm } = criteria;
+  const dates = criteria.dates || [criteria.date];
+  const wanted = coursesFor(courses, criteria);
+
+  const tasks = [];
+  const skipped = [];
+  for (const c of wanted) {
+    const distanceKm = origin ? haversineKm(origin, c) : null;
+    const geo = origin ? { distanceKm, locationUnknown: !hasCoordinates(c) } : {};
+
+    let reason = null;
+    if (maxDistanceKm !== null && maxDistanceKm !== undefined) {
+      if (distanceKm === null) reason = "Location unknown, can't apply distance filter";
+      else if (distanceKm > maxDistanceKm) reason = `${distanceKm} km away (limit ${maxDistanceKm} km)`;
+    }
+
+    for (const date of dates) {
+      if (reason) skipped.push({ ...skippedStatus(c, reason), date, ...geo });
+      else tasks.push({ course: c, date, geo });
+    }
+  }
+
+  const results = await mapLimit(tasks, SEARCH_CONCURRENCY, async ({ course, date, geo }) => {
+    const r = await scrapeCourseWithStatus(course, { ...criteria, date });
+    return {
+      slots: r.slots.map(s => ({ ...s, ...geo })),
+      status: { ...r.status, date, ...geo }
+    };
+  });
+
+  const slots = sortSlots(results.flatMap(r => r.slots), criteria.sort);
+  const byDate = Object.fromEntries(dates.map(d => [d, []]));
+  slots.forEach(s => byDate[s.date].push(s));
+
+  return {
+    slots,
+    byDate,
+    cheapest: cheapestPerCourse(slots),
+    status: [...results.map(r => r.status), ...skipped]
+  };
+}
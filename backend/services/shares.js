@@ -0,0 +1,90 @@
+// backend/services/shares.js
+import crypto from "crypto";
+import { createJsonStore } from "./jsonStore.js";
+import { normaliseCriteria } from "./search.js";
+import { parseSlotId } from "../scrapers/scrapeCourse.js";
+
+/**
+ * Short share links for a search and the tee time picked from it:
+ *   { code, criteria, slotId, createdAt }
+ * /s/<code> reopens book.html with the same search, highlighting the slot.
+ *
+ * The code is derived from the content, so sharing the same slot twice
+ * gives the same link. The searcher's location is never stored.
+ */
+const store = createJsonStore("shares.json", { shares: [] });
+
+const SHARE_TTL_MS = 90 * 24 * 60 * 60 * 1000;
+// Oldest shares go first beyond this, whatever their age
+export const MAX_SHARES = Number(process.env.MAX_SHARES) || 20000;
+
+const expired = (share, now) => Date.parse(share.createdAt) <= now - SHARE_TTL_MS;
+
+function shareCode(criteria, slotId) {
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify({ criteria, slotId }))
+    .digest("base64url")
+    .slice(0, 8);
+}
+
+/**
+ * Drop expired shares, then the oldest beyond MAX_SHARES. Only writes
+ * when something goes. Returns how many were dropped.
+ */
+export function pruneShares(now = Date.now()) {
+  const { shares } = store.read();
+  const live = shares.filter(s => !expired(s, now));
+  const keep = live.length > MAX_SHARES ? live.slice(live.length - MAX_SHARES) : live;
+  const dropped = shares.length - keep.length;
+  if (dropped) {
+    store.update(doc => {
+      doc.shares = keep;
+    });
+  }
+  return dropped;
+}
+
+// Shares are appended in creation order, so pruning keeps the newest
+setInterval(() => pruneShares(), 60 * 60 * 1000).unref();
+
+/**
+ * Save a share for { criteria..., slotId }. Returns { share } or { error }.
+ */
+export function createShare(input = {}) {
+  const { slotId, ...rest } = input;
+  const slot = parseSlotId(slotId);
+  if (!slot) return { error: "slotId is not a valid slot id" };
+
+  const { criteria, error } = normaliseCriteria(rest);
+  if (error) return { error };
+  if (!criteria.dates.includes(slot.date)) {
+    return { error: "slot is not on a searched date" };
+  }
+
+  // Recipients search from wherever they are
+  const shared = { ...criteria, origin: null, maxDistanceKm: null };
+  if (shared.sort === "distance") shared.sort = "time";
+
+  // Sharing the same slot again reuses the link without a write
+  const code = shareCode(shared, slotId);
+  const existing = getShare(code);
+  if (existing) return { share: existing };
+
+  const share = { code, criteria: shared, slotId, createdAt: new Date().toISOString() };
+  store.update(doc => {
+    doc.shares = doc.shares.filter(s => s.code !== code);
+    doc.shares.push(share);
+  });
+  if (store.read().shares.length > MAX_SHARES) pruneShares();
+  return { share };
+}
+
+/**
+ * The share for `code`, or null if there's none or it has expired.
+ */
+export function getShare(code) {
+  const share = store.read().shares.find(s => s.code === code);
+  if (!share || expired(share, Date.now())) return null;
+  return share;
+}
@@ -0,0 +1,106 @@
+// backend/services/snapshots.js
+import fs from "fs";
+import path from "path";
+import readline from "readline";
+import { DATA_DIR } from "./jsonStore.js";
+
+/**
+ * Every timesheet we fetch, kept as a timestamped snapshot so we can
+ * learn how courses fill up over time.
+ *
+ * Unlike the JSON stores this grows with every scrape, so snapshots are
+ * appended as JSON lines to one file per course and month:
+ *   <DATA_DIR>/snapshots/whaleback-18/2026-10.jsonl
+ *   { courseId, date, feeGroupId, fetchedAt, rows: [["06:30", 2], ...] }
+ * where each row is a tee time and its available spots. Reading a
+ * course's history only touches its own files, streamed line by line.
+ * Months older than SNAPSHOT_RETENTION_DAYS are deleted.
+ */
+export const SNAPSHOT_DIR = path.join(DATA_DIR, "snapshots");
+export const RETENTION_DAYS = Number(process.env.SNAPSHOT_RETENTION_DAYS) || 180;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const monthOf = iso => iso.slice(0, 7);
+const courseDir = courseId => path.join(SNAPSHOT_DIR, encodeURIComponent(courseId));
+
+let lastPrunedMonth = null;
+
+function pruneOldMonths(now) {
+  const keepFrom = monthOf(new Date(now - RETENTION_DAYS * DAY_MS).toISOString());
+  for (const entry of fs.readdirSync(SNAPSHOT_DIR, { withFileTypes: true })) {
+    if (!entry.isDirectory()) continue;
+    const dir = path.join(SNAPSHOT_DIR, entry.name);
+    for (const name of fs.readdirSync(dir)) {
+      if (name.endsWith(".jsonl") && name.slice(0, 7) < keepFrom) {
+        fs.unlinkSync(path.join(dir, name));
+      }
+    }
+  }
+}
+
+/**
+ * Append a snapshot of one course timesheet. Never throws: losing a
+ * snapshot mustn't break a search.
+ */
+export function recordSnapshot(course, date, slots, fetchedAt = Date.now()) {
+  try {
+    const at = new Date(fetchedAt).toISOString();
+    const dir = courseDir(course.id);
+    fs.mkdirSync(dir, { recursive: true });
+
+    if (lastPrunedMonth !== monthOf(at)) {
+      pruneOldMonths(fetchedAt);
+      lastPrunedMonth = monthOf(at);
+    }
+
+    const line = JSON.stringify({
+      courseId: course.id,
+      date,
+      feeGroupId: course.feeGroupId || null,
+      fetchedAt: at,
+      rows: slots.map(s => [s.time, s.spots])
+    });
+    fs.appendFileSync(path.join(dir, `${monthOf(at)}.jsonl`), line + "\n");
+  } catch (err) {
+    console.warn(`Could not save snapshot for ${course.id}:`, err.message);
+  }
+}
+
+/**
+ * Snapshots for a course fetched in the last `days` days, oldest first.
+ */
+export async function readSnapshots(courseId, { days = 90 } = {}) {
+  const since = new Date(Date.now() - days * DAY_MS).toISOString();
+  const dir = courseDir(courseId);
+
+  let names;
+  try {
+    names = await fs.promises.readdir(dir);
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+  const files = names
+    .filter(name => name.endsWith(".jsonl") && name.slice(0, 7) >= monthOf(since))
+    .sort();
+
+  const snapshots = [];
+  for (const name of files) {
+    const lines = readline.createInterface({
+      input: fs.createReadStream(path.join(dir, name), "utf8"),
+      crlfDelay: Infinity
+    });
+    for await (const line of lines) {
+      if (!line) continue;
+      let snap;
+      try {
+        snap = JSON.parse(line);
+      } catch {
+        continue; // a torn last line after a crash
+      }
+      if (snap.fetchedAt >= since) snapshots.push(snap);
+    }
+  }
+  return snapshots.sort((a, b) => a.fetchedAt.localeCompare(b.fetchedAt));
+}
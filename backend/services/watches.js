@@ -0,0 +1,204 @@
+// backend/services/watches.js
+import crypto from "crypto";
+import { createJsonStore } from "./jsonStore.js";
+import { normaliseCriteria, runSearch } from "./search.js";
+import { getNotifier } from "../notifiers/index.js";
+import { todayInPerth } from "../scrapers/helpers.js";
+
+/**
+ * Saved tee-time watches.
+ *
+ * A watch stores search criteria plus where to send alerts:
+ *   {
+ *     id, userId, createdAt, active,
+ *     criteria: { date, dates, earliest, latest, holes, partySize, courses, ... },
+ *     notify:   { type: "webpush" | "webhook" | "log", ...target },
+ *     seen:     [slotKey],          every slot we've already announced
+ *     matches:  [{ slot, foundAt }],
+ *     lastRunAt, lastError
+ *   }
+ */
+const store = createJsonStore("watches.json", { watches: [] });
+
+const MAX_MATCHES = 50;
+
+// Watches saved before multi-date search only have `date`
+function watchDates(criteria) {
+  return criteria.dates || [criteria.date];
+}
+
+/**
+ * Identity of a slot for dedup: the same course, date, time and fee
+ * group is never announced twice, even if it drops off and comes back.
+ */
+export function slotKey(slot) {
+  return [slot.name, slot.date, slot.time, slot.feeGroupId || ""].join("|");
+}
+
+// The date inside a slotKey (course names may hold anything, so match it)
+function slotKeyDate(key) {
+  const m = /\|(\d{4}-\d{2}-\d{2})\|/.exec(key);
+  return m ? m[1] : null;
+}
+
+function publicWatch(w) {
+  const { seen, ...rest } = w;
+  return { ...rest, seenCount: seen.length };
+}
+
+/**
+ * Watches owned by `userId`, or every watch when userId is null (admin).
+ */
+export function listWatches(userId) {
+  return store.read().watches
+    .filter(w => userId === null || w.userId === userId)
+    .map(publicWatch);
+}
+
+export function getWatch(id, userId = null) {
+  const w = store.read().watches.find(x => x.id === id);
+  if (!w || (userId !== null && w.userId !== userId)) return null;
+  return publicWatch(w);
+}
+
+/**
+ * Validate and save a new watch. Returns { watch } or { error }.
+ */
+export function createWatch(input = {}, userId = null) {
+  const { criteria, error } = normaliseCriteria(input);
+  if (error) return { error };
+
+  const notify = input.notify || { type: "log" };
+  const notifier = getNotifier(notify.type);
+  if (!notifier) return { error: `unknown notify type "${notify.type}"` };
+  const invalid = notifier.validate(notify);
+  if (invalid) return { error: invalid };
+
+  const watch = {
+    id: crypto.randomUUID(),
+    userId,
+    createdAt: new Date().toISOString(),
+    active: true,
+    criteria,
+    notify: notifier.clean(notify),
+    seen: [],
+    matches: [],
+    lastRunAt: null,
+    lastError: null
+  };
+
+  store.update(doc => {
+    doc.watches.push(watch);
+  });
+  return { watch: publicWatch(watch) };
+}
+
+export function deleteWatch(id, userId = null) {
+  return store.update(doc => {
+    const before = doc.watches.length;
+    doc.watches = doc.watches.filter(
+      w => w.id !== id || (userId !== null && w.userId !== userId)
+    );
+    return doc.watches.length !== before;
+  });
+}
+
+// watch id -> the run in progress, so "run now" and the scheduler never
+// search or notify for the same watch at once
+const inFlight = new Map();
+
+/**
+ * Re-run one watch, record slots we haven't seen before and hand them
+ * to its notifier. Returns the newly found slots (null if no such watch).
+ * A second call while a run is in progress gets that run's result.
+ * `search` is for tests.
+ */
+export function runWatch(id, courses, { search = runSearch } = {}) {
+  if (inFlight.has(id)) return inFlight.get(id);
+  const run = runWatchOnce(id, courses, search).finally(() => inFlight.delete(id));
+  inFlight.set(id, run);
+  return run;
+}
+
+async function runWatchOnce(id, courses, search) {
+  const watch = store.read().watches.find(x => x.id === id);
+  if (!watch) return null;
+
+  // Dates already in the past have nothing left to book
+  const today = todayInPerth();
+  const upcoming = watchDates(watch.criteria).filter(d => d >= today);
+  const { slots } = upcoming.length
+    ? await search(courses, { ...watch.criteria, dates: upcoming, date: upcoming[0] })
+    : { slots: [] };
+  const seen = new Set(watch.seen);
+  const fresh = slots.filter(s => !seen.has(slotKey(s)));
+  const now = new Date().toISOString();
+
+  let lastError = null;
+  if (fresh.length) {
+    try {
+      await getNotifier(watch.notify.type).send(watch.notify, {
+        watchId: watch.id,
+        criteria: watch.criteria,
+        slots: fresh
+      });
+    } catch (err) {
+      lastError = `notify failed: ${err.message}`;
+      console.warn(`Watch ${watch.id} ${lastError}`);
+    }
+  }
+
+  store.update(doc => {
+    const w = doc.watches.find(x => x.id === watch.id);
+    if (!w) return;
+    // Slots on past dates can't come back, so stop remembering them
+    w.seen = w.seen.filter(key => (slotKeyDate(key) || today) >= today);
+    // Only mark as seen once delivered, so a failed push is retried
+    if (!lastError) {
+      fresh.forEach(s => w.seen.push(slotKey(s)));
+      w.matches = [
+        ...fresh.map(slot => ({ slot, foundAt: now })),
+        ...w.matches
+      ].slice(0, MAX_MATCHES);
+    }
+    w.lastRunAt = now;
+    w.lastError = lastError;
+  });
+
+  return fresh;
+}
+
+/**
+ * Periodically re-run every active watch. Watches whose dates have all
+ * passed are switched off. Runs never overlap. `search` is for tests.
+ */
+export function startWatchScheduler({ courses, intervalMs, search = runSearch }) {
+  let running = false;
+
+  async function tick() {
+    if (running) return;
+    running = true;
+    try {
+      const today = todayInPerth();
+      store.update(doc => {
+        doc.watches.forEach(w => {
+          if (w.active && watchDates(w.criteria).every(d => d < today)) w.active = false;
+        });
+      });
+
+      for (const w of store.read().watches.filter(x => x.active)) {
+        try {
+          await runWatch(w.id, courses, { search });
+        } catch (err) {
+          console.warn(`Watch ${w.id} failed:`, err.message);
+        }
+      }
+    } finally {
+      running = false;
+    }
+  }
+
+  const timer = setInterval(tick, intervalMs);
+  timer.unref();
+  return { tick, stop: () => clearInterval(timer) };
+}
@@ -0,0 +1,50 @@
+// backend/test/apiKeys.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { useDataDir } from "./support/dataDir.js";
+
+const { readJson, readText } = useDataDir("apikeys");
+const { issueApiKey, listApiKeys, findApiKey, revokeApiKey, recordApiUse, flushApiUsage } =
+  await import("../services/apiKeys.js");
+
+const saved = id => readJson("apiKeys.json").keys.find(k => k.id === id);
+
+test("issues keys that are stored only as a hash", () => {
+  const { apiKey, key } = issueApiKey({ name: "Slack bot", ratePerMinute: 10 });
+  assert.match(key, /^trk_/);
+  assert.equal(apiKey.keyHash, undefined);
+  assert.equal(apiKey.prefix, key.slice(0, 10));
+  assert.ok(!readText("apiKeys.json").includes(key));
+
+  assert.equal(findApiKey(key).id, apiKey.id);
+  assert.equal(findApiKey("trk_wrong"), null);
+  assert.equal(issueApiKey({ name: " " }).error, "name is required");
+  assert.match(issueApiKey({ name: "x", ratePerMinute: 0 }).error, /^ratePerMinute must be/);
+
+  revokeApiKey(apiKey.id);
+  assert.equal(findApiKey(key), null);
+});
+
+test("counts usage in memory and writes it in one flush", () => {
+  const { apiKey } = issueApiKey({ name: "Newsletter" });
+  recordApiUse(apiKey.id);
+  recordApiUse(apiKey.id);
+  recordApiUse(apiKey.id, { limited: true });
+
+  const listed = listApiKeys().find(k => k.id === apiKey.id);
+  assert.equal(listed.usage.total, 2);
+  assert.equal(listed.usage.limited, 1);
+  assert.equal(Object.values(listed.usage.byDay)[0], 2);
+  assert.ok(listed.lastUsedAt);
+  assert.equal(saved(apiKey.id).usage.total, 0);
+
+  flushApiUsage();
+  assert.deepEqual(saved(apiKey.id).usage, listed.usage);
+  assert.equal(saved(apiKey.id).lastUsedAt, listed.lastUsedAt);
+  // Flushed counts aren't added twice
+  assert.deepEqual(listApiKeys().find(k => k.id === apiKey.id).usage, listed.usage);
+
+  recordApiUse(apiKey.id);
+  flushApiUsage();
+  assert.equal(saved(apiKey.id).usage.total, 3);
+});
@@ -0,0 +1,99 @@
+// backend/test/availabilityCache.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createAvailabilityCache } from "../services/availabilityCache.js";
+
+function setup(options = {}) {
+  const clock = { t: 1_000_000 };
+  const cache = createAvailabilityCache({ ttlMs: 100, staleMs: 1000, now: () => clock.t, ...options });
+  let loads = 0;
+  const loader = value => () => {
+    loads++;
+    return value;
+  };
+  return { cache, clock, loader, loads: () => loads };
+}
+
+test("serves fresh entries from memory until the TTL passes", async () => {
+  const { cache, clock, loader, loads } = setup();
+  const first = await cache.get("a", loader(["07:00"]));
+  assert.equal(first.hit, false);
+
+  clock.t += 99;
+  const second = await cache.get("a", loader(["never"]));
+  assert.deepEqual(second, { value: ["07:00"], fetchedAt: first.fetchedAt, stale: false, hit: true });
+  assert.equal(loads(), 1);
+});
+
+test("serves stale entries at once and refreshes them in the background", async () => {
+  const { cache, clock, loader, loads } = setup();
+  await cache.get("a", loader(["07:00"]));
+
+  clock.t += 500;
+  const stale = await cache.get("a", loader(["08:00"]));
+  assert.equal(stale.stale, true);
+  assert.deepEqual(stale.value, ["07:00"]);
+
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(loads(), 2);
+  const refreshed = await cache.get("a", loader(["never"]));
+  assert.deepEqual(refreshed.value, ["08:00"]);
+  assert.equal(refreshed.stale, false);
+});
+
+test("reloads entries older than staleMs", async () => {
+  const { cache, clock, loader } = setup();
+  await cache.get("a", loader(["07:00"]));
+  clock.t += 1000;
+  const result = await cache.get("a", loader(["09:00"]));
+  assert.equal(result.hit, false);
+  assert.deepEqual(result.value, ["09:00"]);
+});
+
+test("concurrent callers share one load", async () => {
+  const { cache } = setup();
+  let calls = 0;
+  let release;
+  const loader = () => {
+    calls++;
+    return new Promise(resolve => { release = resolve; });
+  };
+
+  const pending = [cache.get("a", loader), cache.get("a", loader), cache.get("a", loader)];
+  await new Promise(resolve => setImmediate(resolve));
+  release(["07:00"]);
+  const results = await Promise.all(pending);
+
+  assert.equal(calls, 1);
+  assert.ok(results.every(r => r.value[0] === "07:00"));
+  assert.equal(cache.inspect().stats.coalesced, 2);
+});
+
+test("failed loads are not cached", async () => {
+  const { cache, loader } = setup();
+  await assert.rejects(cache.get("a", () => { throw new Error("503"); }), /503/);
+  assert.equal(cache.inspect().size, 0);
+  assert.deepEqual((await cache.get("a", loader(["07:00"]))).value, ["07:00"]);
+});
+
+test("prune drops entries too old to serve", async () => {
+  const { cache, clock, loader } = setup();
+  await cache.get("old", loader([]));
+  clock.t += 600;
+  await cache.get("new", loader([]));
+  clock.t += 500;
+
+  assert.equal(cache.prune(), 1);
+  assert.deepEqual(cache.inspect().entries.map(e => e.key), ["new"]);
+});
+
+test("evicts the least recently used entries past maxEntries", async () => {
+  const { cache, loader } = setup({ maxEntries: 2 });
+  await cache.get("a", loader([]));
+  await cache.get("b", loader([]));
+  await cache.get("a", loader([]));   // a is now the most recently used
+  await cache.get("c", loader([]));
+
+  assert.deepEqual(cache.inspect().entries.map(e => e.key).sort(), ["a", "c"]);
+  assert.equal(cache.inspect().stats.evicted, 1);
+});
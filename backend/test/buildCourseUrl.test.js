@@ -0,0 +1,42 @@
+// backend/test/buildCourseUrl.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildCourseUrl, resolveCourseForSearch } from "../scrapers/scrapeCourse.js";
+import { courseById } from "./support/fixtures.js";
+
+test("MiClub URLs carry the date and fee group", () => {
+  const url = buildCourseUrl(courseById("whaleback-18"), "2026-10-24");
+  assert.match(url, /ViewPublicTimesheet\.msp\?/);
+  assert.match(url, /selectedDate=2026-10-24/);
+  assert.match(url, /feeGroupId=1500344723/);
+});
+
+test("9 and 18 hole courses on one club use their own fee groups", () => {
+  const nine = new URL(buildCourseUrl(courseById("whaleback-9"), "2026-10-24"));
+  const eighteen = new URL(buildCourseUrl(courseById("whaleback-18"), "2026-10-24"));
+  assert.equal(nine.host, eighteen.host);
+  assert.notEqual(nine.searchParams.get("feeGroupId"), eighteen.searchParams.get("feeGroupId"));
+});
+
+test("Quick18 URLs use a compact YYYYMMDD date", () => {
+  assert.equal(
+    buildCourseUrl(courseById("hamersley-18"), "2026-10-24"),
+    "https://hamersley.quick18.com/teetimes/searchmatrix?teedate=20261024"
+  );
+});
+
+test("phone-only and unknown providers have no URL", () => {
+  assert.equal(buildCourseUrl(courseById("hillview-18"), "2026-10-24"), null);
+  assert.equal(buildCourseUrl(courseById("altone-park-18"), "2026-10-24"), null);
+});
+
+test("weekend fee groups are picked for Saturday and Sunday", () => {
+  const course = {
+    ...courseById("whaleback-18"),
+    feeGroups: { "18": "111", "18_weekend": "222" }
+  };
+  const weekday = resolveCourseForSearch(course, { date: "2026-10-23" });
+  const weekend = resolveCourseForSearch(course, { date: "2026-10-24" });
+  assert.match(buildCourseUrl(weekday, "2026-10-23"), /feeGroupId=111/);
+  assert.match(buildCourseUrl(weekend, "2026-10-24"), /feeGroupId=222/);
+});
@@ -0,0 +1,107 @@
+// backend/test/calendar.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { slotCalendar } from "../services/calendar.js";
+import { slotId, parseSlotId, withSlotIds, filterSlots } from "../scrapers/scrapeCourse.js";
+
+const course = {
+  id: "whaleback-18",
+  name: "Whaleback Golf Course",
+  club: "Whaleback, Parkwood",
+  holes: 18,
+  lat: -32.05,
+  lng: 115.92,
+  phone: "08 9457 7733"
+};
+const slot = { id: "whaleback-18.20261024.0746", date: "2026-10-24", time: "07:46" };
+
+// Unfolded property lines
+const properties = ics => Object.fromEntries(
+  ics.replace(/\r\n /g, "").split("\r\n").filter(Boolean).map(line => {
+    const at = line.indexOf(":");
+    return [line.slice(0, at), line.slice(at + 1)];
+  })
+);
+
+test("slot ids round-trip and only name real dates and times", () => {
+  assert.equal(slotId("whaleback-18", "2026-10-24", "07:46"), slot.id);
+  assert.deepEqual(parseSlotId(slot.id), { courseId: "whaleback-18", date: "2026-10-24", time: "07:46", seq: 1 });
+  assert.equal(parseSlotId("hamersley-18.20280229.0620").date, "2028-02-29");
+
+  for (const bad of [
+    "whaleback-18.20261399.9999",
+    "whaleback-18.20260230.0700",
+    "whaleback-18.20261024.2400",
+    "whaleback-18.20261024.0760",
+    "Whaleback.20261024.0746",
+    "whaleback-18.2026-10-24.07:46",
+    "whaleback-18.20261024.0746-1",
+    "whaleback-18.20261024.0746-02",
+    "whaleback-18.20261024.0746-100",
+    "",
+    undefined
+  ]) {
+    assert.equal(parseSlotId(bad), null, String(bad));
+  }
+});
+
+test("rows at the same minute get their own ids, whatever the search filters out", () => {
+  // 1st and 10th tee both start at 07:00
+  const rows = [
+    { time: "07:00", spots: 4, tee: 1 },
+    { time: "07:00", spots: 1, tee: 10 },
+    { time: "07:08", spots: 4, tee: 1 },
+    { time: "07:00", spots: 2, tee: 4 }
+  ];
+  const ids = withSlotIds("whaleback-18", "2026-10-24", rows).map(r => r.id);
+  assert.deepEqual(ids, [
+    "whaleback-18.20261024.0700",
+    "whaleback-18.20261024.0700-2",
+    "whaleback-18.20261024.0708",
+    "whaleback-18.20261024.0700-3"
+  ]);
+  assert.equal(slotId("whaleback-18", "2026-10-24", "07:00", 3), ids[3]);
+  assert.deepEqual(parseSlotId(ids[3]), { courseId: "whaleback-18", date: "2026-10-24", time: "07:00", seq: 3 });
+
+  // A party of two skips the 10th tee row, and the 4th tee row keeps its id
+  const forTwo = filterSlots(withSlotIds("whaleback-18", "2026-10-24", rows), {
+    earliest: "06:00", latest: "08:00", partySize: 2
+  });
+  assert.deepEqual(forTwo.map(r => [r.id, r.tee]), [[ids[0], 1], [ids[2], 1], [ids[3], 4]]);
+});
+
+test("exports the tee time in UTC with the round's length", () => {
+  const ics = slotCalendar(course, slot, { url: "https://example.test/book", players: 3 });
+  assert.ok(ics.startsWith("BEGIN:VCALENDAR\r\n"));
+  assert.ok(ics.endsWith("END:VCALENDAR\r\n"));
+
+  const p = properties(ics);
+  assert.equal(p.UID, "whaleback-18.20261024.0746@teeradar");
+  // Perth is UTC+8 all year
+  assert.equal(p.DTSTART, "20261023T234600Z");
+  assert.equal(p.DTEND, "20261024T041600Z");
+  assert.equal(p.SUMMARY, "Golf: Whaleback Golf Course");
+  assert.equal(p.LOCATION, "Whaleback\\, Parkwood\\, Western Australia");
+  assert.equal(p.GEO, "-32.05;115.92");
+  assert.equal(p.URL, "https://example.test/book");
+  assert.equal(
+    p.DESCRIPTION,
+    "Tee time at Whaleback Golf Course.\\nParty of 3.\\nBooking: https://example.test/book\\nPhone: 08 9457 7733"
+  );
+});
+
+test("nine-hole rounds are shorter and optional details are left out", () => {
+  const p = properties(slotCalendar({ id: "x-9", name: "Nine", holes: 9 }, { ...slot, id: "x-9.20261024.0746" }));
+  assert.equal(p.DTEND, "20261024T020100Z");
+  assert.equal(p.URL, undefined);
+  assert.equal(p.GEO, undefined);
+  assert.equal(p.DESCRIPTION, "Tee time at Nine.");
+});
+
+test("folds long lines at 75 octets", () => {
+  const ics = slotCalendar({ ...course, name: "A very long course name ".repeat(6).trim() }, slot);
+  for (const line of ics.split("\r\n")) {
+    assert.ok(Buffer.byteLength(line) <= 75, line);
+  }
+  assert.match(properties(ics).SUMMARY, /^Golf: A very long course name( A very long course name){5}$/);
+});
@@ -0,0 +1,80 @@
+// backend/test/catalogue.test.js
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { loadCatalogue, CatalogueError } from "../services/catalogue.js";
+import { CATALOGUE_FILE } from "./support/fixtures.js";
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "teeradar-catalogue-"));
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+const club = (extra = {}) => ({
+  id: "whaleback",
+  name: "Whaleback",
+  provider: "miclub",
+  region: "south",
+  lat: -32.05,
+  lng: 115.92,
+  phone: null,
+  calendarUrl: null,
+  feeGroups: {},
+  courses: [{ id: "whaleback-18", name: "Whaleback 18", holes: 18, cart: false, days: null, feeGroupId: null, bookingTemplate: "https://example.test/{date}" }],
+  ...extra
+});
+
+// The problems loadCatalogue reports for `doc`, or [] when it loads
+function problemsIn(doc) {
+  const file = path.join(tmpDir, "courses.json");
+  fs.writeFileSync(file, typeof doc === "string" ? doc : JSON.stringify(doc));
+  try {
+    loadCatalogue(file);
+    return [];
+  } catch (err) {
+    assert.ok(err instanceof CatalogueError);
+    return err.problems;
+  }
+}
+
+test("the checked-in catalogue is valid", () => {
+  assert.ok(loadCatalogue(CATALOGUE_FILE).courses.length > 0);
+  assert.deepEqual(problemsIn({ version: 1, clubs: [club()] }), []);
+});
+
+test("rejects ids that aren't lowercase slugs", () => {
+  assert.deepEqual(problemsIn({ clubs: [club({ id: "Whale Back" })] }), [
+    "clubs[0] (Whale Back).id must be a lowercase slug"
+  ]);
+});
+
+test("rejects an id used twice, across clubs and courses", () => {
+  const second = club({ id: "whaleback-18", courses: [{ ...club().courses[0], id: "whaleback-9", holes: 9 }] });
+  assert.deepEqual(problemsIn({ clubs: [club(), second] }), ["clubs[1] (whaleback-18).id is duplicated"]);
+});
+
+test("rejects fields of the wrong type", () => {
+  const problems = problemsIn({
+    clubs: [club({ lat: "-32", feeGroups: [], courses: [{ ...club().courses[0], holes: "18", cart: "no" }] })]
+  });
+  assert.deepEqual(problems, [
+    "clubs[0] (whaleback).lat/lng must both be valid coordinates (or both null)",
+    "clubs[0] (whaleback).feeGroups must be an object",
+    "clubs[0] (whaleback).courses[0] (whaleback-18).holes must be 9 or 18",
+    "clubs[0] (whaleback).courses[0] (whaleback-18).cart must be true or false"
+  ]);
+});
+
+test("reports null and non-object entries instead of throwing", () => {
+  assert.deepEqual(problemsIn({ clubs: [null, club({ courses: [null, 7] }), "club"] }), [
+    "clubs[0] must be an object",
+    "clubs[1] (whaleback).courses[0] must be an object",
+    "clubs[1] (whaleback).courses[1] must be an object",
+    "clubs[2] must be an object"
+  ]);
+  assert.deepEqual(problemsIn({ clubs: [club({ courses: "whaleback-18" })] }), [
+    "clubs[0] (whaleback).courses must list at least one course"
+  ]);
+  assert.deepEqual(problemsIn(null), ["top level must be { version, clubs: [...] }"]);
+  assert.match(problemsIn("{ not json")[0], /^could not parse JSON/);
+});
@@ -0,0 +1,76 @@
+// backend/test/chronogolf.test.js
+//
+// No catalogue course books through Chronogolf yet, so the fixture is
+// hand-built in the marketplace tee times format (array of rows with
+// start_time, free_slots / booked_players and green_fees) rather than
+// recorded by fixtures:record.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { scrapeChronogolfTeeTimes, chronogolfAdapter } from "../scrapers/adapters/chronogolf.js";
+import { ScrapeError } from "../scrapers/errors.js";
+import { readFixture } from "./support/fixtures.js";
+
+const course = {
+  id: "example-18",
+  name: "Example Golf Club",
+  provider: "chronogolf",
+  holes: 18,
+  lat: -31.9,
+  lng: 115.9,
+  bookingTemplate: "https://www.chronogolf.com/marketplace/clubs/1234/teetimes?date={date}&course_id=5678&nb_holes=18",
+  publicBookingTemplate: "https://www.chronogolf.com/club/example-golf-club?date={date}"
+};
+const body = readFixture("chronogolf-example.json");
+const url = "https://example.test/teetimes";
+const FULL_DAY = { date: "2026-10-24", earliest: "00:00", latest: "23:59", partySize: 0 };
+
+test("skips full and frozen rows and reads spots from free_slots or bookings", () => {
+  const slots = scrapeChronogolfTeeTimes(body, course, FULL_DAY, url);
+  assert.deepEqual(
+    slots.map(s => [s.time, s.spots]),
+    [["06:40", 2], ["09:10", 3], ["13:20", 4]]
+  );
+});
+
+test("applies the time window and party size", () => {
+  const criteria = { date: "2026-10-24", earliest: "06:00", latest: "12:00", partySize: 3 };
+  assert.deepEqual(scrapeChronogolfTeeTimes(body, course, criteria, url).map(s => s.time), ["09:10"]);
+});
+
+test("maps green fees to prices with a public headline price", () => {
+  const byTime = Object.fromEntries(
+    scrapeChronogolfTeeTimes(body, course, FULL_DAY, url).map(s => [s.time, s])
+  );
+  assert.deepEqual(
+    byTime["06:40"].prices.map(p => [p.category, p.amount]),
+    [["visitor", 48], ["member", 36], ["senior", 40]]
+  );
+  assert.equal(byTime["06:40"].price, 48);
+  assert.equal(byTime["09:10"].price, 52);
+  assert.equal(byTime["13:20"].price, null);
+});
+
+test("links to the public club page for the date", () => {
+  const [slot] = scrapeChronogolfTeeTimes(body, course, FULL_DAY, url);
+  assert.equal(slot.url, "https://www.chronogolf.com/club/example-golf-club?date=2026-10-24");
+  assert.equal(
+    chronogolfAdapter.buildUrl(course, "2026-10-24"),
+    "https://www.chronogolf.com/marketplace/clubs/1234/teetimes?date=2026-10-24&course_id=5678&nb_holes=18"
+  );
+});
+
+test("understands the wrapped response shapes", () => {
+  const rows = [{ start_time: "07:00", free_slots: 4 }];
+  for (const shape of [{ teetimes: rows }, { tee_times: rows }]) {
+    assert.equal(scrapeChronogolfTeeTimes(JSON.stringify(shape), course, FULL_DAY, url).length, 1);
+  }
+});
+
+test("throws a parse-error for HTML or unknown JSON", () => {
+  for (const bad of ["<html>Login</html>", JSON.stringify({ error: "nope" })]) {
+    assert.throws(
+      () => scrapeChronogolfTeeTimes(bad, course, FULL_DAY, url),
+      err => err instanceof ScrapeError && err.code === "parse-error"
+    );
+  }
+});
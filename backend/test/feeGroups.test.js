@@ -0,0 +1,49 @@
+// backend/test/feeGroups.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { resolveFeeGroup, isWeekend } from "../scrapers/feeGroups.js";
+import { courseById } from "./support/fixtures.js";
+
+const SATURDAY = "2026-10-24";
+const SUNDAY = "2026-10-25";
+const WEDNESDAY = "2026-10-21";
+
+test("isWeekend knows Saturday and Sunday", () => {
+  assert.equal(isWeekend(SATURDAY), true);
+  assert.equal(isWeekend(SUNDAY), true);
+  assert.equal(isWeekend(WEDNESDAY), false);
+  assert.equal(isWeekend(null), false);
+});
+
+test("Meadow Springs uses its weekend groups on Saturday and Sunday", () => {
+  const eighteen = courseById("meadow-springs-18-weekend");
+  assert.deepEqual(resolveFeeGroup(eighteen, SATURDAY), { key: "18_weekend", id: "337073" });
+  assert.deepEqual(resolveFeeGroup(eighteen, SUNDAY), { key: "18_weekend", id: "337073" });
+  assert.deepEqual(resolveFeeGroup(courseById("meadow-springs-9-weekend"), SATURDAY), { key: "9_weekend", id: "337075" });
+});
+
+test("Meadow Springs uses the plain groups on weekdays", () => {
+  assert.deepEqual(resolveFeeGroup(courseById("meadow-springs-18-weekday"), WEDNESDAY), { key: "18", id: "337072" });
+  assert.deepEqual(resolveFeeGroup(courseById("meadow-springs-9-weekday"), WEDNESDAY), { key: "9", id: "337074" });
+});
+
+test("Joondalup only publishes cart rates, so they're used whatever is asked", () => {
+  const cart = courseById("joondalup-18-cart");
+  assert.deepEqual(resolveFeeGroup(cart, WEDNESDAY), { key: "18_cart", id: "1508198355" });
+  assert.deepEqual(resolveFeeGroup(cart, SATURDAY), { key: "18_cart", id: "1508198355" });
+  assert.deepEqual(resolveFeeGroup({ ...cart, cart: false }, WEDNESDAY), { key: "18_cart", id: "1508198355" });
+  assert.deepEqual(resolveFeeGroup(courseById("joondalup-9-cart"), WEDNESDAY), { key: "9_cart", id: "1508504524" });
+});
+
+test("The Vines picks the cart or walking group to match the course", () => {
+  assert.deepEqual(resolveFeeGroup(courseById("the-vines-18-cart"), WEDNESDAY), { key: "18_cart", id: "24488643" });
+  assert.deepEqual(resolveFeeGroup(courseById("the-vines-9-cart"), SATURDAY), { key: "9_cart", id: "24488670" });
+  assert.deepEqual(resolveFeeGroup(courseById("the-vines-18-walk"), SATURDAY), { key: "18", id: "22284292" });
+  assert.deepEqual(resolveFeeGroup(courseById("the-vines-9-walk"), WEDNESDAY), { key: "9", id: "22289426" });
+});
+
+test("keeps the course default when the club lists no fee groups", () => {
+  assert.equal(resolveFeeGroup({ holes: 18, feeGroups: {} }, WEDNESDAY), null);
+  assert.equal(resolveFeeGroup({ holes: null, feeGroups: { 18: "1" } }, WEDNESDAY), null);
+  assert.equal(resolveFeeGroup({ holes: 9, cart: false, feeGroups: { 18: "1" } }, WEDNESDAY), null);
+});
@@ -0,0 +1,28 @@
+// backend/test/geo.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { haversineKm, hasCoordinates } from "../services/geo.js";
+
+const PERTH = { lat: -31.9523, lng: 115.8613 };
+
+test("measures great-circle distances to 0.1 km", () => {
+  // A degree of latitude, half the globe, and two real trips
+  assert.equal(haversineKm({ lat: 0, lng: 0 }, { lat: 1, lng: 0 }), 111.2);
+  assert.equal(haversineKm({ lat: 0, lng: 0 }, { lat: 0, lng: 180 }), 20015.1);
+  assert.equal(haversineKm(PERTH, { lat: -32.0569, lng: 115.7439 }), 16.1);
+  assert.equal(haversineKm(PERTH, { lat: -33.8688, lng: 151.2093 }), 3290.5);
+  assert.equal(haversineKm(PERTH, PERTH), 0);
+});
+
+test("is the same in both directions", () => {
+  const fremantle = { lat: -32.0569, lng: 115.7439 };
+  assert.equal(haversineKm(PERTH, fremantle), haversineKm(fremantle, PERTH));
+});
+
+test("has no distance without coordinates on both ends", () => {
+  assert.equal(haversineKm(PERTH, { lat: null, lng: null }), null);
+  assert.equal(haversineKm(null, PERTH), null);
+  assert.equal(haversineKm(PERTH, { lat: -32, lng: NaN }), null);
+  assert.equal(hasCoordinates({ lat: 0, lng: 0 }), true);
+  assert.equal(hasCoordinates({ lat: "-32", lng: "115" }), false);
+});
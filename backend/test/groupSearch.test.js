@@ -0,0 +1,129 @@
+// backend/test/groupSearch.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normaliseGroup, combinationsFor } from "../services/groupSearch.js";
+
+const slot = (time, spots, courseId = "whaleback-18") => ({
+  id: `${courseId}.20261024.${time.replace(":", "")}`,
+  courseId,
+  name: "Whaleback 18",
+  date: "2026-10-24",
+  time,
+  spots
+});
+
+function group(members, extra = {}) {
+  const { group, error } = normaliseGroup({ date: "2026-10-24", members, ...extra });
+  assert.equal(error, undefined);
+  return group;
+}
+
+const players = (n, window = {}, prefix = "P") =>
+  Array.from({ length: n }, (_, i) => ({ name: `${prefix}${i + 1}`, ...window }));
+
+test("searches the widest window, at courses on every member's list", () => {
+  const { criteria } = group([
+    { earliest: "07:00", latest: "09:00", courses: ["whaleback-18", "hamersley-18"] },
+    { earliest: "06:30", latest: "08:00", courses: ["hamersley-18", "collier-park-27"] },
+    { earliest: "08:00", latest: "08:30" }
+  ]);
+  assert.equal(criteria.earliest, "06:30");
+  assert.equal(criteria.latest, "09:00");
+  assert.equal(criteria.partySize, 1);
+  assert.deepEqual(criteria.courses, ["hamersley-18"]);
+
+  // Nobody listing courses means every course
+  assert.deepEqual(group(players(2)).criteria.courses, []);
+  assert.equal(
+    normaliseGroup({
+      date: "2026-10-24",
+      members: [{ courses: ["whaleback-18"] }, { courses: ["hamersley-18"] }]
+    }).error,
+    "no course is on every member's list"
+  );
+});
+
+test("rejects groups that are too small or have bad windows", () => {
+  assert.match(normaliseGroup({ date: "2026-10-24", members: players(1) }).error, /at least 2/);
+  assert.match(
+    normaliseGroup({ date: "2026-10-24", members: [{ earliest: "9am" }, {}] }).error,
+    /members\[0\]/
+  );
+  assert.match(
+    normaliseGroup({ date: "2026-10-24", members: players(2), maxGapMinutes: 90 }).error,
+    /maxGapMinutes/
+  );
+});
+
+test("pairs back-to-back 4-balls for a group of eight", () => {
+  const combos = combinationsFor(
+    [slot("07:00", 4), slot("07:08", 4), slot("07:30", 4), slot("07:38", 4)],
+    group(players(8))
+  );
+  assert.deepEqual(
+    combos.map(c => c.teeTimes.map(t => t.time)),
+    [["07:00", "07:08"], ["07:30", "07:38"]]
+  );
+  assert.equal(combos[0].seats.length, 8);
+  assert.equal(combos[0].spanMinutes, 8);
+});
+
+test("grows a run until every member's window is covered", () => {
+  // Two 4-balls have room for six, but not at times that suit everyone
+  const members = [
+    ...players(2, { earliest: "07:00", latest: "07:05" }, "A"),
+    ...players(2, { earliest: "07:08", latest: "07:10" }, "B"),
+    ...players(2, { earliest: "07:16", latest: "08:00" }, "C")
+  ];
+  const combos = combinationsFor(
+    [slot("07:00", 4), slot("07:08", 4), slot("07:16", 4)],
+    group(members)
+  );
+  assert.deepEqual(combos.map(c => c.teeTimes.map(t => t.time)), [["07:00", "07:08", "07:16"]]);
+  assert.deepEqual(
+    combos[0].seats.map(s => `${s.member} ${s.time}`),
+    ["A1 07:00", "A2 07:00", "B1 07:08", "B2 07:08", "C1 07:16", "C2 07:16"]
+  );
+});
+
+test("only plays courses every member is willing to play", () => {
+  const members = [
+    ...players(3, { courses: ["hamersley-18", "whaleback-18"] }, "H"),
+    ...players(2, { courses: ["whaleback-18"] }, "W"),
+    ...players(3, {}, "A")
+  ];
+  const g = group(members);
+  assert.equal(combinationsFor([slot("07:00", 4, "hamersley-18"), slot("07:08", 4, "hamersley-18")], g).length, 0);
+
+  const combos = combinationsFor([slot("07:00", 4), slot("07:08", 4)], g);
+  assert.deepEqual(combos.map(c => c.courseId), ["whaleback-18"]);
+  assert.equal(combos[0].seats.length, 8);
+  // The five who named it, not the three happy anywhere
+  assert.equal(combos[0].preferredBy, 5);
+});
+
+test("ranks tighter runs with fewer tee times first", () => {
+  const g = group(players(6));
+  const combos = [
+    ...combinationsFor([slot("07:00", 4), slot("07:10", 4)], g),
+    ...combinationsFor([slot("07:00", 4, "hamersley-18"), slot("07:02", 4, "hamersley-18")], g)
+  ].sort((a, b) => b.score - a.score);
+  assert.deepEqual(combos.map(c => [c.courseId, c.spanMinutes]), [["hamersley-18", 2], ["whaleback-18", 10]]);
+});
+
+test("doesn't leave anyone to play alone", () => {
+  // Five players: 4 + 1 is the greedy fill, 3 + 2 is what a group wants
+  const combos = combinationsFor([slot("07:00", 4), slot("07:08", 4)], group(players(5)));
+  assert.equal(combos.length, 1);
+  const perTee = combos[0].teeTimes.map(t => combos[0].seats.filter(s => s.slotId === t.id).length);
+  assert.deepEqual(perTee, [3, 2]);
+
+  // The single spot at 07:08 would always hold one player on their own
+  const single = combinationsFor([slot("07:00", 4), slot("07:08", 1), slot("07:16", 4)], group(players(5)));
+  assert.deepEqual(single, []);
+});
+
+test("leaves out tee times too far apart", () => {
+  const combos = combinationsFor([slot("07:00", 4), slot("07:30", 4)], group(players(6)));
+  assert.deepEqual(combos, []);
+});
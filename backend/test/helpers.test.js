@@ -0,0 +1,24 @@
+// backend/test/helpers.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normaliseTimeTo24h } from "../scrapers/scrapeCourse.js";
+
+test("normaliseTimeTo24h converts 12h labels", () => {
+  assert.equal(normaliseTimeTo24h("6:30 am"), "06:30");
+  assert.equal(normaliseTimeTo24h("6:30pm"), "18:30");
+  assert.equal(normaliseTimeTo24h("12:33 pm"), "12:33");
+  assert.equal(normaliseTimeTo24h("12:05 AM"), "00:05");
+});
+
+test("normaliseTimeTo24h keeps 24h times and finds them inside labels", () => {
+  assert.equal(normaliseTimeTo24h("06:30"), "06:30");
+  assert.equal(normaliseTimeTo24h("17:45"), "17:45");
+  assert.equal(normaliseTimeTo24h("Tee off 7:10 am (hole 1)"), "07:10");
+  assert.equal(normaliseTimeTo24h("2026-10-24T07:10:00"), "07:10");
+});
+
+test("normaliseTimeTo24h returns null when there is no time", () => {
+  assert.equal(normaliseTimeTo24h(""), null);
+  assert.equal(normaliseTimeTo24h(null), null);
+  assert.equal(normaliseTimeTo24h("Competition"), null);
+});
@@ -0,0 +1,229 @@
+// backend/test/httpClient.test.js
+//
+// The client runs against a stubbed fetch and a fake clock: sleep()
+// moves the clock on instead of waiting, so backoff, Retry-After,
+// host spacing and breaker cool-downs are all instant and exact.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Response } from "node-fetch";
+import { createHttpClient, CircuitOpenError } from "../scrapers/httpClient.js";
+
+const START = Date.UTC(2026, 9, 24, 0, 0, 0);
+
+function fakeClock() {
+  let t = START;
+  const sleeps = [];
+  return {
+    sleeps,
+    now: () => t,
+    // Time moves on in a later turn, like a real timer would fire
+    sleep: ms => {
+      sleeps.push(ms);
+      return new Promise(resolve => setImmediate(() => {
+        t += ms;
+        resolve();
+      }));
+    },
+    advance: ms => { t += ms; }
+  };
+}
+
+/**
+ * fetch that answers from `replies` in order: a status, [status, headers],
+ * an Error to throw, or a function returning any of those (or a promise).
+ */
+function stubFetch(clock, replies) {
+  const calls = [];
+  async function fetch(url, options) {
+    calls.push({ url, at: clock.now(), headers: options.headers });
+    let reply = replies.shift();
+    if (typeof reply === "function") reply = await reply(options);
+    if (reply instanceof Error) throw reply;
+    const [status, headers = {}] = Array.isArray(reply) ? reply : [reply];
+    return new Response(`status ${status}`, { status, headers });
+  }
+  return { fetch, calls };
+}
+
+function client(clock, fetch, options = {}) {
+  return createHttpClient({
+    retries: 2,
+    backoffMs: 100,
+    hostIntervalMs: 0,
+    breakerThreshold: 3,
+    breakerCooldownMs: 60000,
+    ...options,
+    fetch,
+    now: clock.now,
+    sleep: clock.sleep
+  });
+}
+
+function deferred() {
+  let resolve;
+  const promise = new Promise(r => { resolve = r; });
+  return { promise, resolve };
+}
+
+test("retries 5xx and network errors with exponential backoff", async () => {
+  const clock = fakeClock();
+  const { fetch, calls } = stubFetch(clock, [503, new Error("socket hang up"), 200]);
+  const http = client(clock, fetch, { userAgent: "Test/1.0" });
+
+  const res = await http.request("https://tee.example/sheet");
+  assert.equal(res.status, 200);
+  assert.equal(await res.text(), "status 200");
+  assert.equal(calls.length, 3);
+  assert.equal(calls[0].headers["User-Agent"], "Test/1.0");
+
+  // 100 ms then 200 ms, each with up to 25% jitter
+  assert.equal(clock.sleeps.length, 2);
+  assert.ok(clock.sleeps[0] >= 75 && clock.sleeps[0] <= 125, String(clock.sleeps[0]));
+  assert.ok(clock.sleeps[1] >= 150 && clock.sleeps[1] <= 250, String(clock.sleeps[1]));
+  assert.equal(http.inspect().stats.retries, 2);
+});
+
+test("hands back the last response or error once retries run out", async () => {
+  const clock = fakeClock();
+  const { fetch } = stubFetch(clock, [500, 502, 503, new Error("ECONNRESET"), new Error("ECONNRESET")]);
+  const http = client(clock, fetch);
+
+  assert.equal((await http.request("https://tee.example/a")).status, 503);
+
+  const once = client(clock, fetch, { retries: 1 });
+  await assert.rejects(once.request("https://tee.example/b"), /ECONNRESET/);
+});
+
+test("does not retry other 4xx responses", async () => {
+  const clock = fakeClock();
+  const { fetch, calls } = stubFetch(clock, [404]);
+  const res = await client(clock, fetch).request("https://tee.example/missing");
+  assert.equal(res.status, 404);
+  assert.equal(calls.length, 1);
+  assert.deepEqual(clock.sleeps, []);
+});
+
+test("waits as long as Retry-After asks on 429, within maxBackoffMs", async () => {
+  const clock = fakeClock();
+  const inFive = new Date(START + 5000).toUTCString();
+  const { fetch } = stubFetch(clock, [
+    [429, { "Retry-After": "3" }],
+    [429, { "Retry-After": inFive }],
+    200,
+    [429, { "Retry-After": "3600" }],
+    200
+  ]);
+  const http = client(clock, fetch, { maxBackoffMs: 10000 });
+
+  assert.equal((await http.request("https://tee.example/a")).status, 200);
+  // 3 s, then an HTTP date 5 s after the start, 3 s of which had passed
+  assert.deepEqual(clock.sleeps, [3000, 2000]);
+
+  assert.equal((await http.request("https://tee.example/b")).status, 200);
+  assert.equal(clock.sleeps[2], 10000);
+});
+
+test("spaces request starts to the same host, but not across hosts", async () => {
+  const clock = fakeClock();
+  const { fetch, calls } = stubFetch(clock, [200, 200, 200, 200]);
+  const http = client(clock, fetch, { hostIntervalMs: 500 });
+
+  await Promise.all([
+    http.request("https://tee.example/1"),
+    http.request("https://tee.example/2"),
+    http.request("https://tee.example/3")
+  ]);
+  assert.deepEqual(calls.map(c => c.at - START), [0, 500, 1000]);
+
+  await http.request("https://other.example/1");
+  assert.equal(clock.sleeps.length, 2);
+});
+
+test("keeps at most hostConcurrency requests in flight per host", async () => {
+  const clock = fakeClock();
+  const first = deferred();
+  const { fetch, calls } = stubFetch(clock, [() => first.promise, 200]);
+  const http = client(clock, fetch, { hostConcurrency: 1 });
+
+  const a = http.request("https://tee.example/1");
+  const b = http.request("https://tee.example/2");
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(calls.length, 1);
+  assert.equal(http.inspect().hosts[0].queued, 1);
+
+  first.resolve(200);
+  await Promise.all([a, b]);
+  assert.equal(calls.length, 2);
+});
+
+test("opens the breaker after repeated failures and rejects without fetching", async () => {
+  const clock = fakeClock();
+  const { fetch, calls } = stubFetch(clock, [503, 503, 503]);
+  const http = client(clock, fetch, { retries: 0 });
+
+  for (let n = 0; n < 3; n++) {
+    assert.equal((await http.request("https://tee.example/sheet")).status, 503);
+  }
+  await assert.rejects(http.request("https://tee.example/sheet"), err => {
+    assert.ok(err instanceof CircuitOpenError);
+    assert.equal(err.host, "tee.example");
+    assert.equal(err.retryAt, START + 60000);
+    return true;
+  });
+  assert.equal(calls.length, 3);
+
+  const { stats, hosts } = http.inspect();
+  assert.equal(stats.rejected, 1);
+  assert.equal(hosts[0].circuit, "open");
+  assert.equal(hosts[0].failures, 3);
+});
+
+test("lets one probe through after the cool-down and closes again on success", async () => {
+  const clock = fakeClock();
+  const probe = deferred();
+  const { fetch, calls } = stubFetch(clock, [503, 503, 503, () => probe.promise, 200]);
+  const http = client(clock, fetch, { retries: 0 });
+  for (let n = 0; n < 3; n++) await http.request("https://tee.example/sheet");
+
+  clock.advance(60000);
+  assert.equal(http.inspect().hosts[0].circuit, "half-open");
+
+  const trial = http.request("https://tee.example/sheet");
+  // Only the probe goes out while it's in flight
+  await assert.rejects(http.request("https://tee.example/sheet"), CircuitOpenError);
+  probe.resolve(200);
+  assert.equal((await trial).status, 200);
+
+  assert.equal(http.inspect().hosts[0].circuit, "closed");
+  assert.equal(http.inspect().hosts[0].failures, 0);
+  assert.equal((await http.request("https://tee.example/sheet")).status, 200);
+  assert.equal(calls.length, 5);
+});
+
+test("a failed probe pauses the host for another full cool-down", async () => {
+  const clock = fakeClock();
+  const { fetch, calls } = stubFetch(clock, [503, 503, 503, new Error("ECONNREFUSED")]);
+  const http = client(clock, fetch, { retries: 0 });
+  for (let n = 0; n < 3; n++) await http.request("https://tee.example/sheet");
+
+  clock.advance(60000);
+  await assert.rejects(http.request("https://tee.example/sheet"), /ECONNREFUSED/);
+
+  const host = http.inspect().hosts[0];
+  assert.equal(host.circuit, "open");
+  assert.equal(host.openUntil, new Date(START + 120000).toISOString());
+  await assert.rejects(http.request("https://tee.example/sheet"), CircuitOpenError);
+  assert.equal(calls.length, 4);
+});
+
+test("aborts attempts that outlast timeoutMs", async () => {
+  const clock = fakeClock();
+  const hang = ({ signal }) => new Promise((resolve, reject) => {
+    signal.addEventListener("abort", () => reject(Object.assign(new Error("aborted"), { name: "AbortError" })));
+  });
+  const { fetch } = stubFetch(clock, [hang]);
+  const http = client(clock, fetch, { retries: 0, timeoutMs: 20 });
+
+  await assert.rejects(http.request("https://tee.example/slow"), /Timed out after 20 ms/);
+  assert.equal(http.inspect().stats.timeouts, 1);
+});
@@ -0,0 +1,112 @@
+// backend/test/insights.test.js
+//
+// Two Saturdays and a Sunday of snapshots for one course, written
+// through recordSnapshot into a scratch data directory. Times are Perth
+// local (UTC+8, no daylight saving) and placed in the recent past so
+// they fall inside the default 90-day window.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { useDataDir } from "./support/dataDir.js";
+
+useDataDir("insights");
+const { recordSnapshot, readSnapshots, SNAPSHOT_DIR } = await import("../services/snapshots.js");
+const { courseInsights } = await import("../services/insights.js");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const COURSE = { id: "test-18" };
+
+const isoDate = ms => new Date(ms).toISOString().slice(0, 10);
+
+// The most recent Saturday at least ten days ago
+let saturday = Date.parse(isoDate(Date.now() - 10 * DAY_MS));
+while (new Date(saturday).getUTCDay() !== 6) saturday -= DAY_MS;
+const SAT1 = isoDate(saturday);
+const SAT2 = isoDate(saturday + 7 * DAY_MS);
+const SUN1 = isoDate(saturday + DAY_MS);
+
+// `daysBefore` the play date at Perth local `time`
+const perthAt = (date, daysBefore, time) => Date.parse(`${date}T${time}:00+08:00`) - daysBefore * DAY_MS;
+
+const sheet = (...spots) => spots.map((n, i) => ({ time: `07:${i}0`, spots: n }));
+
+function snap(course, date, daysBefore, time, slots) {
+  recordSnapshot(course, date, slots, perthAt(date, daysBefore, time));
+}
+
+// First Saturday: sheet released 7 days out between 18:50 and 19:05
+snap(COURSE, SAT1, 7, "18:50", []);
+snap(COURSE, SAT1, 7, "19:05", sheet(4, 4, 4, 4));
+snap(COURSE, SAT1, 2, "18:00", sheet(0, 2, 4, 1));
+snap(COURSE, SAT1, 2, "20:00", sheet(0, 1, 3, 0)); // the one that counts for 2 days out
+snap(COURSE, SAT1, 0, "06:00", sheet(0, 0, 0, 0));
+// Second Saturday: first seen with rows 7 days out, release not observed
+snap(COURSE, SAT2, 7, "19:20", sheet(4, 4, 4, 4));
+snap(COURSE, SAT2, 2, "12:00", sheet(2, 0, 0, 0));
+// A Sunday, another course, and one too old to count
+snap(COURSE, SUN1, 1, "09:00", sheet(1, 1, 1, 1));
+snap({ id: "other-18" }, SAT1, 2, "18:00", sheet(4, 4, 4, 4));
+recordSnapshot(COURSE, isoDate(Date.now() - 95 * DAY_MS), sheet(4), Date.now() - 100 * DAY_MS);
+
+test("reads one course's snapshots in time order and skips torn lines", async () => {
+  const dir = path.join(SNAPSHOT_DIR, COURSE.id);
+  const newest = fs.readdirSync(dir).sort().pop();
+  fs.appendFileSync(path.join(dir, newest), '{"courseId":"test-18","da');
+
+  const snaps = await readSnapshots(COURSE.id);
+  assert.equal(snaps.length, 8);
+  assert.ok(snaps.every(s => s.courseId === COURSE.id));
+  assert.deepEqual(snaps.map(s => s.fetchedAt), [...snaps.map(s => s.fetchedAt)].sort());
+  assert.equal((await readSnapshots(COURSE.id, { days: 200 })).length, 9);
+  assert.deepEqual(await readSnapshots("never-scraped-18"), []);
+});
+
+test("builds the fill curve from each play date's last snapshot per day", async () => {
+  const { weekdays, snapshots } = await courseInsights(COURSE.id, { weekday: "sat" });
+  assert.equal(snapshots, 7);
+  assert.equal(weekdays.length, 1);
+  assert.equal(weekdays[0].playDates, 2);
+  assert.deepEqual(weekdays[0].fillCurve, [
+    { daysOut: 0, fillRate: 1, samples: 1 },
+    // 12 of 16 spots gone on one date, 14 of 16 on the other
+    { daysOut: 2, fillRate: 0.81, samples: 2 },
+    { daysOut: 7, fillRate: 0, samples: 2 }
+  ]);
+});
+
+test("fills and odds follow the time window and party size", async () => {
+  const { weekdays } = await courseInsights(COURSE.id, {
+    weekday: "sat",
+    earliest: "07:00",
+    latest: "07:10",
+    partySize: 2
+  });
+  const [sat] = weekdays;
+  assert.deepEqual(sat.fillCurve.find(p => p.daysOut === 2), { daysOut: 2, fillRate: 0.81, samples: 2 });
+  assert.deepEqual(sat.odds, [
+    { daysOut: 0, odds: 0, samples: 1 },
+    // 07:00-07:10 has one spot left on the first date, two on the second
+    { daysOut: 2, odds: 0.5, samples: 2 },
+    { daysOut: 7, odds: 1, samples: 2 }
+  ]);
+});
+
+test("estimates when the sheet is released", async () => {
+  const { weekdays } = await courseInsights(COURSE.id, { weekday: "sat" });
+  assert.deepEqual(weekdays[0].release, {
+    observed: 1,
+    typicalDaysOut: 7,
+    typicalTime: "19:05",
+    medianWithinMinutes: 15,
+    horizonDaysOut: 7
+  });
+});
+
+test("reports each weekday with data, Sunday first", async () => {
+  const { weekdays, snapshots, window } = await courseInsights(COURSE.id);
+  assert.equal(snapshots, 8);
+  assert.deepEqual(weekdays.map(w => w.weekday), ["sun", "sat"]);
+  assert.deepEqual(weekdays[0].fillCurve, [{ daysOut: 1, fillRate: 0.75, samples: 1 }]);
+  assert.deepEqual(window, { earliest: "00:00", latest: "23:59", partySize: 1 });
+});
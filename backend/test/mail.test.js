@@ -0,0 +1,55 @@
+// backend/test/mail.test.js
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { sendMail } from "../notifiers/mail.js";
+
+const message = { to: "a@example.com", subject: "Reset", text: "token=secret" };
+const env = { ...process.env };
+
+afterEach(() => {
+  process.env = { ...env };
+});
+
+function capture(method, fn) {
+  const lines = [];
+  const original = console[method];
+  console[method] = (...args) => lines.push(args.join(" "));
+  return Promise.resolve(fn()).then(result => {
+    console[method] = original;
+    return { result, lines };
+  }, err => {
+    console[method] = original;
+    throw err;
+  });
+}
+
+test("never logs the message outside development", async () => {
+  delete process.env.MAIL_WEBHOOK_URL;
+  process.env.NODE_ENV = "production";
+  const warned = await capture("warn", () => capture("log", () => sendMail(message)));
+  assert.equal(warned.result.result, false);
+  assert.deepEqual(warned.result.lines, []);
+  assert.ok(warned.lines.every(l => !l.includes("secret")));
+});
+
+test("posts the message to the configured relay", async () => {
+  let received = null;
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", chunk => { body += chunk; });
+    req.on("end", () => {
+      received = JSON.parse(body);
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  process.env.MAIL_WEBHOOK_URL = `http://127.0.0.1:${server.address().port}/mail`;
+
+  try {
+    assert.equal(await sendMail(message), true);
+    assert.deepEqual(received, message);
+  } finally {
+    server.close();
+  }
+});
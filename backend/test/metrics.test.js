@@ -0,0 +1,74 @@
+// backend/test/metrics.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { useDataDir } from "./support/dataDir.js";
+
+const { readJson } = useDataDir("metrics");
+const { recordScrapeRun, recordSearch, recordBookingClick, metricsSummary, flushMetrics, BROKEN_AFTER } =
+  await import("../services/metrics.js");
+
+const course = id => ({ id, name: id, provider: "miclub" });
+
+const rowFor = (id, days) => metricsSummary([course(id)], { days }).courses[0];
+
+test("summarises runs, success rates and latency per course", () => {
+  recordScrapeRun(course("alpha"), { status: "ok", latencyMs: 100, rows: 40 });
+  recordScrapeRun(course("alpha"), { status: "no-availability", latencyMs: 300, rows: 0 });
+  recordScrapeRun(course("alpha"), { status: "http-status", latencyMs: 200 });
+  recordScrapeRun(course("alpha"), { status: "fetch-error", latencyMs: 600 });
+
+  const row = rowFor("alpha");
+  assert.equal(row.runs, 4);
+  assert.equal(row.successRate, 50);
+  assert.equal(row.recentSuccessRate, 50);
+  assert.equal(row.avgLatencyMs, 300);
+  assert.equal(row.lastStatus, "fetch-error");
+  assert.equal(row.lastRows, 0);
+  assert.ok(row.lastSuccessAt);
+  assert.equal(row.likelyBroken, false);
+});
+
+test("flags a parser that keeps finding nothing, and clears it on the next rows", () => {
+  for (let n = 0; n < BROKEN_AFTER - 1; n++) {
+    recordScrapeRun(course("beta"), { status: "no-availability", rows: 0 });
+  }
+  // Network failures don't count towards the streak
+  recordScrapeRun(course("beta"), { status: "fetch-error" });
+  assert.equal(rowFor("beta").likelyBroken, false);
+
+  recordScrapeRun(course("beta"), { status: "parse-error" });
+  assert.equal(rowFor("beta").zeroRowStreak, BROKEN_AFTER);
+  assert.equal(rowFor("beta").likelyBroken, true);
+
+  recordScrapeRun(course("beta"), { status: "ok", rows: 12 });
+  assert.equal(rowFor("beta").zeroRowStreak, 0);
+  assert.equal(rowFor("beta").likelyBroken, false);
+});
+
+test("lists never-checked courses with no runs", () => {
+  const row = rowFor("gamma");
+  assert.equal(row.runs, 0);
+  assert.equal(row.likelyBroken, false);
+});
+
+test("counts searches and booking clicks by day and course", () => {
+  recordSearch();
+  recordSearch();
+  recordBookingClick("alpha");
+  recordBookingClick("alpha");
+  recordBookingClick("beta");
+
+  const summary = metricsSummary([course("alpha"), course("beta")], { days: 7 });
+  assert.equal(summary.searches.today, 2);
+  assert.equal(summary.searches.byDay.length, 7);
+  assert.equal(summary.searches.byDay[6].count, 2);
+  assert.equal(summary.bookingClicks.today, 3);
+  assert.deepEqual(summary.courses.map(c => c.bookingClicks), [2, 1]);
+
+  // Written to the data directory on the next flush, not every event
+  assert.throws(() => readJson("metrics.json"), { code: "ENOENT" });
+  flushMetrics();
+  const saved = readJson("metrics.json");
+  assert.equal(saved.courses.alpha.runs, 4);
+  assert.equal(saved.searches[summary.searches.byDay[6].date], 2);
+});
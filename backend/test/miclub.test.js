@@ -0,0 +1,43 @@
+// backend/test/miclub.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { scrapeMiClubTimesheet } from "../scrapers/scrapeCourse.js";
+import { courseById, readFixture } from "./support/fixtures.js";
+
+const course = courseById("whaleback-18");
+const html = readFixture("miclub-whaleback-18.html");
+const url = "https://example.test/timesheet";
+const FULL_DAY = { earliest: "00:00", latest: "23:59", partySize: 0 };
+
+test("reads every timed row and counts Taken cells", () => {
+  const slots = scrapeMiClubTimesheet(html, course, FULL_DAY, url);
+  assert.deepEqual(
+    slots.map(s => [s.time, s.spots]),
+    [["06:30", 0], ["06:38", 3], ["07:46", 4], ["12:06", 2], ["16:02", 4]]
+  );
+  assert.ok(slots.every(s => s.name === course.name && s.holes === 18 && s.url === url));
+});
+
+test("applies the time window and party size", () => {
+  const slots = scrapeMiClubTimesheet(html, course, { earliest: "07:00", latest: "13:00", partySize: 3 }, url);
+  assert.deepEqual(slots.map(s => s.time), ["07:46"]);
+});
+
+test("labels each rate and headlines the cheapest public one", () => {
+  const slots = scrapeMiClubTimesheet(html, course, FULL_DAY, url);
+  const byTime = Object.fromEntries(slots.map(s => [s.time, s]));
+
+  assert.deepEqual(
+    byTime["07:46"].prices.map(p => [p.category, p.amount]),
+    [["member", 24], ["senior", 28.5], ["visitor", 36]]
+  );
+  assert.equal(byTime["07:46"].price, 36);
+  assert.equal(byTime["07:46"].priceCategory, "visitor");
+
+  assert.equal(byTime["06:38"].price, 32);
+  assert.equal(byTime["16:02"].priceCategory, "twilight");
+});
+
+test("returns nothing for a page without a timesheet", () => {
+  assert.deepEqual(scrapeMiClubTimesheet("<html><body>Closed</body></html>", course, FULL_DAY, url), []);
+});
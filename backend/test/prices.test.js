@@ -0,0 +1,65 @@
+// backend/test/prices.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parsePriceText, priceFields, categoriseRate, holesFromLabel, makePrice } from "../scrapers/prices.js";
+
+test("parses labelled rates with their player counts", () => {
+  const prices = parsePriceText("Visitor 18 Holes $45.00  Senior $38  Cart for 2 players $60");
+  assert.deepEqual(
+    prices.map(p => [p.category, p.amount, p.players, p.holes]),
+    [["visitor", 45, 1, 18], ["senior", 38, 1, null], ["cart", 60, 2, null]]
+  );
+});
+
+test("headlines the public green fee, not concessions or a cheaper cart share", () => {
+  const { price, priceCategory } = priceFields(
+    parsePriceText("Visitor 18 Holes $45 Senior $38 Cart for 2 players $60"),
+    { holes: 18 }
+  );
+  assert.equal(price, 45);
+  assert.equal(priceCategory, "visitor");
+});
+
+test("keeps the currency each amount is marked in", () => {
+  const prices = parsePriceText("Visitor A$45 Senior AUD 38 Twilight NZ$30 Cart US$ 20 Member $24");
+  assert.deepEqual(
+    prices.map(p => [p.category, p.amount, p.currency]),
+    [["visitor", 45, "AUD"], ["senior", 38, "AUD"], ["twilight", 30, "NZD"], ["cart", 20, "USD"], ["member", 24, "AUD"]]
+  );
+  // A bare "$" is the site's own currency
+  assert.deepEqual(parsePriceText("Green fee $55", { currency: "NZD" }).map(p => p.currency), ["NZD"]);
+  assert.equal(parsePriceText("Green fee nzd 55")[0].currency, "NZD");
+  assert.equal(makePrice("60", "Visitor", 1, "NZD").currency, "NZD");
+  assert.equal(makePrice("60", "Visitor").currency, "AUD");
+});
+
+test("ignores hire add-ons", () => {
+  const prices = parsePriceText("Green fee $42 Club hire $25 Trolley $6");
+  assert.deepEqual(prices.map(p => p.category), ["standard", "hire", "hire"]);
+  assert.equal(priceFields(prices).price, 42);
+});
+
+test("only headlines rates for the course's number of holes", () => {
+  const prices = parsePriceText("18 Holes $45 9 Holes $25");
+  assert.equal(priceFields(prices, { holes: 18 }).price, 45);
+  assert.equal(priceFields(prices, { holes: 9 }).price, 25);
+  // Without the course's holes every rate counts
+  assert.equal(priceFields(prices).price, 25);
+});
+
+test("has no headline when only restricted rates or add-ons are listed", () => {
+  const { prices, price, priceCategory } = priceFields(parsePriceText("Member $24 Cart $30"));
+  assert.equal(prices.length, 2);
+  assert.equal(price, null);
+  assert.equal(priceCategory, null);
+});
+
+test("reads categories and hole counts from labels", () => {
+  assert.equal(categoriseRate("Member Cart"), "member");
+  assert.equal(categoriseRate("Motorised buggy"), "cart");
+  assert.equal(categoriseRate("Set of clubs"), "hire");
+  assert.equal(categoriseRate("Twilight"), "twilight");
+  assert.equal(holesFromLabel("Weekend 9-hole"), 9);
+  assert.equal(holesFromLabel("Visitor 18 Holes"), 18);
+  assert.equal(holesFromLabel("Visitor"), null);
+});
@@ -0,0 +1,65 @@
+// backend/test/profiles.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { useDataDir } from "./support/dataDir.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysAgo = n => new Date(Date.now() - n * DAY_MS).toISOString();
+
+const account = (id, role) => ({ id, email: `${id}@example.com`, name: "", role, passwordHash: "x", createdAt: daysAgo(400) });
+const plan = (status, expiresAt) => ({ plan: "monthly", status, startedAt: daysAgo(60), expiresAt, cancelledAt: null });
+
+// Seed the stores before they're opened
+useDataDir("profiles", {
+  "users.json": {
+    users: [account("newbie", "user"), account("lapsed", "member"), account("comped", "member"), account("boss", "admin")],
+    sessions: [],
+    resetTokens: []
+  },
+  "profiles.json": {
+    profiles: {
+      lapsed: { membership: { ...plan("cancelled", daysAgo(1)), cancelledAt: daysAgo(20) } },
+      comped: { membership: plan("expired", daysAgo(100)) }
+    }
+  }
+});
+const { findUserById, publicUser } = await import("../services/auth.js");
+const { startMembership, cancelMembership, clearMembership, refreshMembership, getProfile } =
+  await import("../services/profiles.js");
+
+const user = id => publicUser(findUserById(id));
+
+test("a cancelled membership keeps the role until it runs out", () => {
+  const { membership, user: member } = startMembership(user("newbie"), "monthly");
+  assert.equal(member.role, "member");
+
+  const cancelled = cancelMembership(member);
+  assert.equal(cancelled.membership.status, "cancelled");
+  assert.equal(cancelled.membership.expiresAt, membership.expiresAt);
+  assert.equal(refreshMembership(user("newbie")).role, "member");
+  assert.equal(cancelMembership(user("newbie")).error, "there is no active membership to cancel");
+
+  // Renewing before it ends picks up where the paid period stops
+  const renewed = startMembership(user("newbie"), "monthly").membership;
+  assert.equal(renewed.status, "active");
+  assert.equal(renewed.startedAt, membership.startedAt);
+  assert.ok(renewed.expiresAt > membership.expiresAt);
+});
+
+test("drops the role once a cancelled membership runs out", () => {
+  assert.equal(refreshMembership(user("lapsed")).role, "user");
+  assert.equal(getProfile("lapsed").membership.status, "expired");
+});
+
+test("a role an admin sets by hand isn't undone by an old plan", () => {
+  clearMembership("comped");
+  assert.equal(refreshMembership(user("comped")).role, "member");
+  assert.equal(getProfile("comped").membership, null);
+});
+
+test("admins keep their role whatever their plan does", () => {
+  const { user: admin } = startMembership(user("boss"), "annual");
+  assert.equal(admin.role, "admin");
+  assert.equal(refreshMembership(user("boss")).role, "admin");
+  assert.equal(startMembership(user("boss"), "toString").error, "plan must be one of monthly, annual");
+});
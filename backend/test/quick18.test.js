@@ -0,0 +1,53 @@
+// backend/test/quick18.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { scrapeQuick18Matrix } from "../scrapers/scrapeCourse.js";
+import { ScrapeError } from "../scrapers/errors.js";
+import { courseById, readFixture } from "./support/fixtures.js";
+
+const course = courseById("hamersley-18");
+const body = readFixture("quick18-hamersley-18.json");
+const url = "https://example.test/searchmatrix";
+const FULL_DAY = { earliest: "00:00", latest: "23:59", partySize: 0 };
+
+test("reads StartTime / AvailableSpots rows and falls back to bookedCount", () => {
+  const slots = scrapeQuick18Matrix(body, course, FULL_DAY, url);
+  assert.deepEqual(
+    slots.map(s => [s.time, s.spots]),
+    [["06:10", 0], ["06:20", 2], ["09:40", 3], ["13:50", 4]]
+  );
+});
+
+test("applies the time window and party size", () => {
+  const slots = scrapeQuick18Matrix(body, course, { earliest: "06:00", latest: "12:00", partySize: 2 }, url);
+  assert.deepEqual(slots.map(s => s.time), ["06:20", "09:40"]);
+});
+
+test("maps rate lists and single green fees to prices", () => {
+  const slots = scrapeQuick18Matrix(body, course, FULL_DAY, url);
+  const byTime = Object.fromEntries(slots.map(s => [s.time, s]));
+
+  assert.deepEqual(
+    byTime["06:20"].prices.map(p => [p.category, p.amount]),
+    [["visitor", 34], ["senior", 29]]
+  );
+  assert.equal(byTime["06:20"].price, 34);
+  assert.equal(byTime["09:40"].price, 38);
+  assert.equal(byTime["13:50"].priceCategory, "standard");
+});
+
+test("understands the other known response shapes", () => {
+  const rows = [{ time: "07:00", spots: 4 }];
+  for (const shape of [rows, { matrix: rows }, { rows }]) {
+    assert.equal(scrapeQuick18Matrix(JSON.stringify(shape), course, FULL_DAY, url).length, 1);
+  }
+});
+
+test("throws a parse-error for HTML or unknown JSON", () => {
+  for (const bad of ["<html>Maintenance</html>", JSON.stringify({ message: "hi" })]) {
+    assert.throws(
+      () => scrapeQuick18Matrix(bad, course, FULL_DAY, url),
+      err => err instanceof ScrapeError && err.code === "parse-error"
+    );
+  }
+});
@@ -0,0 +1,63 @@
+// backend/test/rateLimit.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { rateLimit } from "../middleware/rateLimit.js";
+
+// Just enough of req/res for the middleware; resolves to the status sent,
+// or "next" when the request was let through
+function hit(limit, ip) {
+  const res = {
+    headers: {},
+    statusCode: 200,
+    set(name, value) { this.headers[name] = value; return this; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  let passed = false;
+  limit({ ip }, res, () => { passed = true; });
+  return passed ? "next" : res;
+}
+
+test("lets each address through up to max per window", () => {
+  const limit = rateLimit({ max: 2, windowMs: 60000, message: "slow down" });
+  assert.equal(hit(limit, "203.0.113.1"), "next");
+  assert.equal(hit(limit, "203.0.113.1"), "next");
+
+  const refused = hit(limit, "203.0.113.1");
+  assert.equal(refused.statusCode, 429);
+  assert.deepEqual(refused.body, { error: "slow down" });
+  assert.ok(Number(refused.headers["Retry-After"]) > 0);
+  assert.ok(Number(refused.headers["Retry-After"]) <= 60);
+
+  // Another address has its own allowance
+  assert.equal(hit(limit, "203.0.113.2"), "next");
+});
+
+test("starts a fresh window once the last one ends", async () => {
+  const limit = rateLimit({ max: 1, windowMs: 30 });
+  assert.equal(hit(limit, "198.51.100.7"), "next");
+  assert.equal(hit(limit, "198.51.100.7").statusCode, 429);
+  await new Promise(resolve => setTimeout(resolve, 40));
+  assert.equal(hit(limit, "198.51.100.7"), "next");
+});
+
+test("weighs requests by their cost, and still lets the largest through alone", () => {
+  const limit = rateLimit({ max: 10, cost: req => req.units });
+  const hitCosting = (units, ip = "192.0.2.9") => {
+    let passed = false;
+    const res = { set() { return this; }, status(code) { this.statusCode = code; return this; }, json() { return this; } };
+    limit({ ip, units }, res, () => { passed = true; });
+    return passed ? "next" : res.statusCode;
+  };
+
+  assert.equal(hitCosting(6), "next");
+  assert.equal(hitCosting(5), 429);
+  assert.equal(hitCosting(4), "next");
+  assert.equal(hitCosting(1), 429);
+
+  // More than the whole allowance counts as all of it
+  assert.equal(hitCosting(50, "192.0.2.10"), "next");
+  assert.equal(hitCosting(1, "192.0.2.10"), 429);
+  // Nonsense costs count as one
+  assert.equal(hitCosting(undefined, "192.0.2.11"), "next");
+});
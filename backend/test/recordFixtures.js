@@ -0,0 +1,58 @@
+// backend/test/recordFixtures.js
+//
+// Record live timesheets as test fixtures:
+//   npm run fixtures:record -- <courseId> [<courseId> ...] [--date YYYY-MM-DD]
+//
+// Each course's page for the date (default: today in Perth) is saved to
+// backend/test/fixtures/<provider>-<courseId>.(html|json), replacing
+// any earlier recording. Re-run the tests afterwards and update the
+// expectations to match what the club is showing now.
+import fs from "fs";
+import path from "path";
+import { getAdapter } from "../scrapers/adapters/index.js";
+import { buildCourseUrl, resolveCourseForSearch } from "../scrapers/scrapeCourse.js";
+import { fetchPage, todayInPerth } from "../scrapers/helpers.js";
+import { FIXTURE_DIR, courseById, fixtureName } from "./support/fixtures.js";
+
+function parseArgs(argv) {
+  const ids = [];
+  let date = todayInPerth();
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--date") date = argv[++i];
+    else ids.push(argv[i]);
+  }
+  return { ids, date };
+}
+
+async function record(id, date) {
+  const course = resolveCourseForSearch(courseById(id), { date });
+  if (!course) throw new Error(`${id} isn't offered on ${date}`);
+
+  const adapter = getAdapter(course);
+  const url = buildCourseUrl(course, date);
+  if (!adapter || !url) throw new Error(`${id} has no live timesheet to record`);
+
+  const res = adapter.fetch ? await adapter.fetch(url, course) : await fetchPage(url);
+  if (!res.ok) throw new Error(`${id}: ${url} returned HTTP ${res.status}`);
+
+  const file = path.join(FIXTURE_DIR, fixtureName(course));
+  fs.writeFileSync(file, await res.text());
+  console.log(`✅ ${id} (${date}) -> ${path.relative(process.cwd(), file)}`);
+}
+
+const { ids, date } = parseArgs(process.argv.slice(2));
+if (!ids.length) {
+  console.error("Usage: npm run fixtures:record -- <courseId> [...] [--date YYYY-MM-DD]");
+  process.exit(1);
+}
+
+let failed = 0;
+for (const id of ids) {
+  try {
+    await record(id, date);
+  } catch (err) {
+    failed++;
+    console.error(`❌ ${err.message}`);
+  }
+}
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,432 @@
+// backend/test/search.e2e.test.js
+//
+// Boots the real server against a catalogue whose booking templates
+// point at a local stand-in server, then drives /api/search and the
+// public /api/v1 over HTTP.
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "child_process";
+import fs from "fs";
+import net from "net";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { startStandInServer, writeStandInCatalogue } from "./support/standInServer.js";
+
+const SERVER = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "server.js");
+
+let standIn;
+let server;
+let baseUrl;
+let tmpDir;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer().listen(0, "127.0.0.1", () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+    probe.on("error", reject);
+  });
+}
+
+function waitForStart(child) {
+  return new Promise((resolve, reject) => {
+    let output = "";
+    const timer = setTimeout(() => reject(new Error(`server didn't start:\n${output}`)), 10000);
+    child.stdout.on("data", chunk => {
+      output += chunk;
+      if (output.includes("running on")) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    child.stderr.on("data", chunk => { output += chunk; });
+    child.on("exit", code => {
+      clearTimeout(timer);
+      reject(new Error(`server exited with ${code}:\n${output}`));
+    });
+  });
+}
+
+async function search(body) {
+  const res = await fetch(`${baseUrl}/api/search`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body)
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+async function signUp(email) {
+  const res = await fetch(`${baseUrl}/api/signup`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ email, password: "correct horse battery" })
+  });
+  assert.equal(res.status, 201);
+  return { cookie: res.headers.get("set-cookie").split(";")[0], user: (await res.json()).user };
+}
+
+// Session cookie for an admin account, signed up on first use
+let adminSession;
+async function adminCookie() {
+  if (!adminSession) adminSession = (await signUp("admin@example.com")).cookie;
+  return adminSession;
+}
+
+async function call(method, pathname, { cookie, body, headers = {} } = {}) {
+  const res = await fetch(`${baseUrl}${pathname}`, {
+    method,
+    headers: { "Content-Type": "application/json", ...(cookie ? { Cookie: cookie } : {}), ...headers },
+    body: typeof body === "string" ? body : body && JSON.stringify(body)
+  });
+  const json = (res.headers.get("content-type") || "").includes("json");
+  return { status: res.status, body: json ? await res.json() : await res.text() };
+}
+
+async function issueKey(cookie, body) {
+  const res = await fetch(`${baseUrl}/api/admin/api-keys`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Cookie: cookie },
+    body: JSON.stringify(body)
+  });
+  assert.equal(res.status, 201);
+  return res.json();
+}
+
+async function v1(pathAndQuery, key) {
+  const res = await fetch(`${baseUrl}/api/v1${pathAndQuery}`, {
+    headers: key ? { "X-API-Key": key } : {}
+  });
+  return { status: res.status, headers: res.headers, body: await res.json() };
+}
+
+before(async () => {
+  standIn = await startStandInServer();
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "teeradar-e2e-"));
+  // whaleback-18 and hamersley-18 have fixtures; collier-park answers 503
+  const catalogue = writeStandInCatalogue(
+    path.join(tmpDir, "courses.json"),
+    standIn.url,
+    ["whaleback", "hamersley", "collier-park", "hillview"]
+  );
+
+  const port = await freePort();
+  baseUrl = `http://127.0.0.1:${port}`;
+  server = spawn(process.execPath, [SERVER], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      TEERADAR_COURSES_FILE: catalogue,
+      TEERADAR_DATA_DIR: path.join(tmpDir, "store"),
+      WATCH_INTERVAL_MS: String(24 * 60 * 60 * 1000),
+      SCRAPER_RETRIES: "0",
+      SCRAPER_HOST_INTERVAL_MS: "0",
+      ADMIN_EMAILS: "admin@example.com",
+      SHARE_RATE_PER_HOUR: "6",
+      PUBLIC_URL: ""
+    },
+    stdio: ["ignore", "pipe", "pipe"]
+  });
+  await waitForStart(server);
+});
+
+after(async () => {
+  if (server && server.exitCode === null) {
+    server.removeAllListeners("exit");
+    server.kill();
+  }
+  if (standIn) await standIn.close();
+  if (tmpDir) fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test("searches fixture timesheets end to end", async () => {
+  const { status, body } = await search({
+    date: "2026-10-24",
+    earliest: "06:00",
+    latest: "13:00",
+    partySize: 2,
+    holes: 18
+  });
+  assert.equal(status, 200);
+
+  const times = body.slots.map(s => `${s.courseId} ${s.time}`);
+  assert.deepEqual(times, [
+    "hamersley-18 06:20",
+    "whaleback-18 06:38",
+    "whaleback-18 07:46",
+    "hamersley-18 09:40",
+    "whaleback-18 12:06"
+  ]);
+  assert.ok(body.slots.every(s => s.date === "2026-10-24"));
+  assert.equal(body.slots[0].id, "hamersley-18.20261024.0620");
+
+  const byCourse = Object.fromEntries(body.status.map(st => [st.courseId, st.status]));
+  assert.equal(byCourse["whaleback-18"], "ok");
+  assert.equal(byCourse["hamersley-18"], "ok");
+  assert.equal(byCourse["collier-park-18"], "http-status");
+  assert.equal(byCourse["whaleback-9"], "skipped");
+  assert.equal(byCourse["hillview-18"], "phone-only");
+
+  // The stand-in saw the date-specific MiClub URL with its fee group
+  assert.ok(standIn.requests.some(u =>
+    u.startsWith("/fixture/miclub-whaleback-18.html?") &&
+    u.includes("selectedDate=2026-10-24") &&
+    u.includes("feeGroupId=1500344723")
+  ));
+});
+
+test("groups multi-day searches by date and reports the cheapest per course", async () => {
+  const { status, body } = await search({
+    dates: ["2026-10-25", "2026-10-26"],
+    earliest: "06:00",
+    latest: "18:00",
+    partySize: 4,
+    courses: ["whaleback-18", "hamersley-18"]
+  });
+  assert.equal(status, 200);
+  assert.deepEqual(body.dates, ["2026-10-25", "2026-10-26"]);
+  assert.deepEqual(body.byDate["2026-10-25"].map(s => s.time), ["07:46", "13:50", "16:02"]);
+  assert.deepEqual(
+    body.cheapest.map(c => [c.courseId, c.price]),
+    [["whaleback-18", 22], ["hamersley-18", 38]]
+  );
+});
+
+test("rejects bad criteria with a 400", async () => {
+  const { status, body } = await search({ earliest: "06:00" });
+  assert.equal(status, 400);
+  assert.equal(body.error, "date is required");
+});
+
+test("serves the service worker stamped with the build id", async () => {
+  const res = await fetch(`${baseUrl}/service-worker.js`);
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get("cache-control"), "no-cache");
+  const source = await res.text();
+  assert.match(source, /^self\.TEERADAR_BUILD = "[0-9a-f]{12}";\n/);
+  assert.match(source, /const VERSION = 'tr-' \+ \(self\.TEERADAR_BUILD/);
+});
+
+test("public API searches with an issued key and counts its use", async () => {
+  const cookie = await adminCookie();
+  const { key, apiKey } = await issueKey(cookie, { name: "Slack bot", ratePerMinute: 3 });
+  assert.match(key, /^trk_/);
+
+  assert.equal((await v1("/courses")).status, 401);
+  assert.equal((await v1("/courses", "trk_not-a-key")).status, 401);
+
+  const search = await v1(
+    "/search?date=2026-10-24&earliest=06:00&latest=13:00&partySize=2&courses=whaleback-18,hamersley-18",
+    key
+  );
+  assert.equal(search.status, 200);
+  assert.equal(search.headers.get("x-ratelimit-limit"), "3");
+  assert.equal(search.headers.get("x-ratelimit-remaining"), "2");
+  assert.deepEqual(search.body.slots.map(s => s.id), [
+    "hamersley-18.20261024.0620",
+    "whaleback-18.20261024.0638",
+    "whaleback-18.20261024.0746",
+    "hamersley-18.20261024.0940",
+    "whaleback-18.20261024.1206"
+  ]);
+  assert.deepEqual(
+    Object.keys(search.body.slots[0]).sort(),
+    ["bookingUrl", "course", "courseId", "date", "distanceKm", "fetchedAt", "id", "price",
+      "priceCategory", "prices", "spots", "time"]
+  );
+
+  const slot = await v1("/slots/whaleback-18.20261024.0746", key);
+  assert.equal(slot.status, 200);
+  assert.equal(slot.body.slot.spots, 4);
+
+  const limited = await v1("/courses", key);
+  assert.equal(limited.status, 200);
+  const over = await v1("/courses", key);
+  assert.equal(over.status, 429);
+  assert.ok(Number(over.headers.get("retry-after")) > 0);
+
+  const listed = await fetch(`${baseUrl}/api/admin/api-keys`, { headers: { Cookie: cookie } }).then(r => r.json());
+  const usage = listed.apiKeys.find(k => k.id === apiKey.id).usage;
+  assert.equal(usage.total, 3);
+  assert.equal(usage.limited, 1);
+  assert.equal(listed.apiKeys[0].keyHash, undefined);
+});
+
+test("public API explains bad search parameters with a 400", async () => {
+  const { key } = await issueKey(await adminCookie(), { name: "Newsletter" });
+
+  const cases = [
+    ["/search?date=2026-02-30", 'invalid date "2026-02-30", expected YYYY-MM-DD'],
+    ["/search?date=2026-10-24&earliest=7am", 'invalid earliest "7am", expected HH:MM (24-hour)'],
+    ["/search?date=2026-10-24&earliest=12:00&latest=09:00", "earliest is after latest"],
+    ["/search?date=2026-10-24&partySize=6", "partySize must be a whole number from 1 to 4"],
+    ["/search?date=2026-10-24&courses=nowhere-18", 'unknown course "nowhere-18"'],
+    ["/search?day=2026-10-24", 'unknown parameter "day"'],
+    ["/search", "date is required"]
+  ];
+  for (const [query, error] of cases) {
+    const { status, body } = await v1(query, key);
+    assert.equal(status, 400, query);
+    assert.equal(body.error, error);
+  }
+});
+
+test("serves the OpenAPI document without a key", async () => {
+  const { status, headers, body } = await v1("/openapi.json");
+  assert.equal(status, 200);
+  assert.equal(headers.get("access-control-allow-origin"), "*");
+  assert.equal(body.openapi, "3.0.3");
+  assert.deepEqual(Object.keys(body.paths).sort(), [
+    "/courses", "/courses/{id}", "/openapi.json", "/search", "/slots/{id}"
+  ]);
+  assert.ok(body.components.schemas.Slot);
+  assert.ok(body.components.schemas.Course);
+});
+
+test("logs in with the password it signed up with, and won't reset without PUBLIC_URL", async () => {
+  await signUp("returning@example.com");
+  const wrong = await call("POST", "/api/login", { body: { email: "returning@example.com", password: "wrong horse battery" } });
+  assert.equal(wrong.status, 401);
+  const right = await call("POST", "/api/login", { body: { email: "Returning@Example.com ", password: "correct horse battery" } });
+  assert.equal(right.status, 200);
+  assert.equal(right.body.user.email, "returning@example.com");
+
+  // Reset links are never built from the request's Host header
+  const reset = await call("POST", "/api/forgot-password", {
+    body: { email: "returning@example.com" },
+    headers: { Host: "evil.example" }
+  });
+  assert.equal(reset.status, 503);
+});
+
+test("members can't start their own membership; admins can", async () => {
+  const { cookie, user } = await signUp("golfer@example.com");
+
+  assert.equal((await call("POST", "/api/me/membership", { cookie, body: { plan: "annual" } })).status, 404);
+  assert.equal(
+    (await call("POST", `/api/admin/users/${user.id}/membership`, { cookie, body: { plan: "annual" } })).status,
+    403
+  );
+
+  const granted = await call("POST", `/api/admin/users/${user.id}/membership`, {
+    cookie: await adminCookie(),
+    body: { plan: "monthly" }
+  });
+  assert.equal(granted.status, 200);
+  assert.equal(granted.body.user.role, "member");
+  assert.equal(granted.body.membership.status, "active");
+
+  const me = await call("GET", "/api/me", { cookie });
+  assert.equal(me.body.user.role, "member");
+
+  // Cancelling stops the renewal; the role lasts until the month is up
+  const cancelled = await call("DELETE", "/api/me/membership", { cookie });
+  assert.equal(cancelled.body.membership.status, "cancelled");
+  assert.equal(cancelled.body.user.role, "member");
+  assert.equal((await call("GET", "/api/me", { cookie })).body.user.role, "member");
+  assert.equal((await call("DELETE", "/api/me/membership", { cookie })).status, 400);
+
+  // A role an admin sets by hand replaces the plan on record
+  const made = await call("PATCH", `/api/admin/users/${user.id}`, { cookie: await adminCookie(), body: { role: "member" } });
+  assert.equal(made.body.user.role, "member");
+  assert.equal((await call("GET", "/api/me", { cookie })).body.profile.membership, null);
+});
+
+test("admin stats count each upstream read once, however many searches share it", async () => {
+  const whalebackReads = () => standIn.requests.filter(u => u.startsWith("/fixture/miclub-whaleback-18.html?")).length;
+  const before = whalebackReads();
+  const criteria = { date: "2026-11-07", courses: ["whaleback-18", "collier-park-18"] };
+
+  const [a, b] = await Promise.all([search(criteria), search(criteria)]);
+  assert.equal(a.status, 200);
+  assert.equal(b.status, 200);
+  await search(criteria);
+  assert.equal(whalebackReads(), before + 1);
+
+  assert.equal((await call("GET", "/api/admin/stats")).status, 401);
+  const { status, body } = await call("GET", "/api/admin/stats?days=7", { cookie: await adminCookie() });
+  assert.equal(status, 200);
+  assert.equal(body.searches.byDay.length, 7);
+  assert.ok(body.searches.today >= 3);
+
+  const byId = Object.fromEntries(body.courses.map(c => [c.courseId, c]));
+  assert.equal(byId["whaleback-18"].runs, whalebackReads());
+  assert.equal(byId["whaleback-18"].successRate, 100);
+  assert.ok(byId["whaleback-18"].lastRows > 0);
+  assert.equal(byId["collier-park-18"].lastStatus, "http-status");
+  assert.equal(byId["collier-park-18"].successRate, 0);
+  assert.equal(byId["hillview-18"].runs, 0);
+  assert.ok(body.cache.misses > 0);
+  assert.ok(Array.isArray(body.upstream.hosts));
+});
+
+test("exports a tee time to a calendar, and 404s slot ids that can't exist", async () => {
+  const res = await fetch(`${baseUrl}/api/slots/whaleback-18.20261024.0746/calendar.ics?players=2`);
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get("content-type"), /^text\/calendar/);
+  assert.match(res.headers.get("content-disposition"), /teeradar-whaleback-18\.20261024\.0746\.ics/);
+  const ics = await res.text();
+  assert.match(ics, /\r\nDTSTART:20261023T234600Z\r\n/);
+  assert.match(ics, /Party of 2\./);
+
+  for (const id of ["whaleback-18.20261399.9999", "whaleback-18.20261024.2460", "nowhere-18.20261024.0746"]) {
+    const bad = await call("GET", `/api/slots/${id}/calendar.ics`);
+    assert.equal(bad.status, 404, id);
+    assert.equal(bad.body.error, "slot not found");
+  }
+});
+
+test("share links reopen the search, and creating them is rate limited", async () => {
+  const criteria = { date: "2026-10-24", earliest: "06:00", latest: "13:00", partySize: 2 };
+  const slotId = "whaleback-18.20261024.0746";
+
+  const created = await call("POST", "/api/share", { body: { ...criteria, slotId } });
+  assert.equal(created.status, 201);
+  assert.match(created.body.code, /^[\w-]{8}$/);
+  assert.equal(created.body.url, `/s/${created.body.code}`);
+  const again = await call("POST", "/api/share", { body: { ...criteria, slotId } });
+  assert.equal(again.body.code, created.body.code);
+
+  const opened = await call("GET", `/api/share/${created.body.code}`);
+  assert.equal(opened.status, 200);
+  assert.equal(opened.body.slotId, slotId);
+  assert.deepEqual(opened.body.criteria.dates, ["2026-10-24"]);
+
+  const link = await fetch(`${baseUrl}${created.body.url}`, { redirect: "manual" });
+  assert.equal(link.status, 302);
+  assert.equal(link.headers.get("location"), `/book.html?share=${created.body.code}`);
+  assert.equal((await call("GET", "/api/share/nosuchcd")).status, 404);
+  assert.equal((await fetch(`${baseUrl}/s/nosuchcd`)).status, 404);
+
+  assert.equal((await call("POST", "/api/share", { body: { ...criteria, slotId: "whaleback-18.20261399.9999" } })).status, 400);
+  assert.equal((await call("POST", "/api/share", { body: { ...criteria, slotId: "nowhere-18.20261024.0746" } })).status, 400);
+  assert.equal((await call("POST", "/api/share", { body: { ...criteria, slotId: "whaleback-18.20261025.0746" } })).status, 400);
+
+  // SHARE_RATE_PER_HOUR is 6 here, bad requests included
+  assert.equal((await call("POST", "/api/share", { body: { ...criteria, slotId: "whaleback-18.20261024.0638" } })).status, 201);
+  const limited = await fetch(`${baseUrl}/api/share`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ ...criteria, slotId })
+  });
+  assert.equal(limited.status, 429);
+  assert.ok(Number(limited.headers.get("retry-after")) > 0);
+});
+
+test("only the public API is open to other origins", async () => {
+  const res = await fetch(`${baseUrl}/api/search`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Origin: "https://elsewhere.example" },
+    body: JSON.stringify({ earliest: "06:00" })
+  });
+  assert.equal(res.status, 400);
+  assert.equal(res.headers.get("access-control-allow-origin"), null);
+
+  const preflight = await fetch(`${baseUrl}/api/search`, {
+    method: "OPTIONS",
+    headers: { Origin: "https://elsewhere.example", "Access-Control-Request-Method": "POST" }
+  });
+  assert.equal(preflight.headers.get("access-control-allow-origin"), null);
+});
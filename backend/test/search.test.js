@@ -0,0 +1,146 @@
+// backend/test/search.test.js
+//
+// Searches here only cover phone-only courses, so nothing is fetched.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { runSearch, sortSlots, normaliseCriteria, searchCost, MAX_SEARCH_DATES, MAX_RANGE_DAYS } from "../services/search.js";
+
+const PERTH = { lat: -31.9523, lng: 115.8613 };
+
+const course = (id, lat, lng) => ({
+  id, name: id, provider: "phone", phone: "08 9000 0000", holes: 18, cart: false, days: null, lat, lng
+});
+const NEAR = course("near-18", -32.0569, 115.7439); // 16.1 km
+const FAR = course("far-18", -33.3271, 115.6414); // Bunbury, ~154 km
+const NOWHERE = course("nowhere-18", null, null);
+
+function criteria(extra) {
+  const { criteria: c, error } = normaliseCriteria({ date: "2026-10-24", ...extra });
+  assert.equal(error, undefined);
+  return c;
+}
+
+test("adds each course's distance, and flags the ones without a location", async () => {
+  const { status } = await runSearch([NEAR, NOWHERE], criteria({ origin: PERTH }));
+  const near = status.find(s => s.courseId === "near-18");
+  assert.equal(near.distanceKm, 16.1);
+  assert.equal(near.locationUnknown, false);
+  const nowhere = status.find(s => s.courseId === "nowhere-18");
+  assert.equal(nowhere.distanceKm, null);
+  assert.equal(nowhere.locationUnknown, true);
+
+  // No origin, no distances
+  const plain = await runSearch([NEAR], criteria({}));
+  assert.equal("distanceKm" in plain.status[0], false);
+});
+
+test("skips courses beyond maxDistanceKm, or with no location, without checking them", async () => {
+  const { status } = await runSearch(
+    [NEAR, FAR, NOWHERE],
+    criteria({ origin: PERTH, maxDistanceKm: 50, dates: ["2026-10-24", "2026-10-25"] })
+  );
+  const byCourse = id => status.filter(s => s.courseId === id);
+
+  assert.deepEqual(byCourse("near-18").map(s => s.status), ["phone-only", "phone-only"]);
+  assert.deepEqual(byCourse("far-18").map(s => [s.status, s.date]), [["skipped", "2026-10-24"], ["skipped", "2026-10-25"]]);
+  assert.match(byCourse("far-18")[0].message, /^\d+(\.\d)? km away \(limit 50 km\)$/);
+  assert.deepEqual(byCourse("nowhere-18").map(s => s.message), [
+    "Location unknown, can't apply distance filter",
+    "Location unknown, can't apply distance filter"
+  ]);
+});
+
+test("maxDistanceKm and sort=distance need an origin", () => {
+  assert.equal(normaliseCriteria({ date: "2026-10-24", maxDistanceKm: 10 }).error, "maxDistanceKm needs an origin");
+  assert.equal(normaliseCriteria({ date: "2026-10-24", sort: "distance" }).error, "sort=distance needs an origin");
+  assert.equal(
+    normaliseCriteria({ date: "2026-10-24", origin: PERTH, maxDistanceKm: -1 }).error,
+    "maxDistanceKm must be a positive number"
+  );
+  assert.equal(normaliseCriteria({ date: "2026-10-24", sort: "cheapest" }).error, "sort must be one of time, distance, price, spots");
+});
+
+const slot = (name, time, extra = {}) => ({ name, date: "2026-10-24", time, spots: 2, price: null, distanceKm: null, ...extra });
+const SLOTS = [
+  slot("Bravo", "08:00", { distanceKm: 12, price: 45, spots: 1 }),
+  slot("Alpha", "07:00", { distanceKm: null, locationUnknown: true, price: 30, spots: 4 }),
+  slot("Charlie", "07:00", { distanceKm: 3, price: null, spots: 2 }),
+  slot("Delta", "09:00", { date: "2026-10-23", distanceKm: 3, price: 30, spots: 4 })
+];
+const order = sort => sortSlots(SLOTS, sort).map(s => s.name);
+
+test("sorts by date then time, with the course name breaking ties", () => {
+  assert.deepEqual(order("time"), ["Delta", "Alpha", "Charlie", "Bravo"]);
+  assert.deepEqual(order(undefined), order("time"));
+  assert.deepEqual(order("nonsense"), order("time"));
+});
+
+test("sorts by distance, courses with no location last", () => {
+  assert.deepEqual(order("distance"), ["Delta", "Charlie", "Bravo", "Alpha"]);
+});
+
+test("sorts by price, unpriced slots last", () => {
+  assert.deepEqual(order("price"), ["Delta", "Alpha", "Bravo", "Charlie"]);
+});
+
+test("sorts by most spots first", () => {
+  assert.deepEqual(order("spots"), ["Delta", "Alpha", "Charlie", "Bravo"]);
+  // The input isn't reordered
+  assert.deepEqual(SLOTS.map(s => s.name), ["Bravo", "Alpha", "Charlie", "Delta"]);
+});
+
+const datesFor = input => normaliseCriteria(input).criteria.dates;
+const errorFor = input => normaliseCriteria(input).error;
+
+test("expands a date range, narrowed to the chosen weekdays", () => {
+  assert.deepEqual(datesFor({ dateFrom: "2026-10-22", dateTo: "2026-10-25" }), [
+    "2026-10-22", "2026-10-23", "2026-10-24", "2026-10-25"
+  ]);
+  // Saturdays and Sundays in a fortnight, by name or number
+  const weekends = ["2026-10-24", "2026-10-25", "2026-10-31", "2026-11-01"];
+  assert.deepEqual(datesFor({ dateFrom: "2026-10-19", dateTo: "2026-11-01", weekdays: ["sat", "Sunday"] }), weekends);
+  assert.deepEqual(datesFor({ dateFrom: "2026-10-19", dateTo: "2026-11-01", weekdays: "6,0" }), weekends);
+});
+
+test("keeps listed dates alongside the range, sorted and without repeats", () => {
+  const { criteria } = normaliseCriteria({
+    date: "2026-10-30",
+    dates: ["2026-10-24", "2026-10-30"],
+    dateFrom: "2026-10-19",
+    dateTo: "2026-10-25",
+    weekdays: ["sat"]
+  });
+  assert.deepEqual(criteria.dates, ["2026-10-24", "2026-10-30"]);
+  assert.equal(criteria.date, "2026-10-24");
+});
+
+test("caps a search at MAX_SEARCH_DATES dates and MAX_RANGE_DAYS days", () => {
+  assert.equal(MAX_SEARCH_DATES, 14);
+  assert.equal(MAX_RANGE_DAYS, 31);
+  assert.equal(datesFor({ dateFrom: "2026-10-01", dateTo: "2026-10-14" }).length, 14);
+  assert.equal(errorFor({ dateFrom: "2026-10-01", dateTo: "2026-10-15" }), "a search can cover at most 14 dates");
+  // A month of Saturdays fits, a day longer doesn't
+  assert.equal(datesFor({ dateFrom: "2026-10-01", dateTo: "2026-10-31", weekdays: "sat" }).length, 5);
+  assert.equal(
+    errorFor({ dateFrom: "2026-10-01", dateTo: "2026-11-01", weekdays: "sat" }),
+    "date range is limited to 31 days"
+  );
+});
+
+test("explains bad dates and ranges", () => {
+  assert.equal(errorFor({}), "date is required");
+  assert.equal(errorFor({ date: "24/10/2026" }), 'invalid date "24/10/2026", expected YYYY-MM-DD');
+  assert.equal(errorFor({ dates: ["2026-10-24", "2026-02-30"] }), 'invalid date "2026-02-30", expected YYYY-MM-DD');
+  assert.equal(errorFor({ dateFrom: "2026-10-24" }), "dateFrom and dateTo must both be YYYY-MM-DD");
+  assert.equal(errorFor({ dateFrom: "2026-10-25", dateTo: "2026-10-24" }), "dateTo is before dateFrom");
+  assert.equal(errorFor({ dateFrom: "2026-10-19", dateTo: "2026-10-23", weekdays: "sat" }), "no dates in the range match the weekday filter");
+  assert.equal(errorFor({ dateFrom: "2026-10-19", dateTo: "2026-10-23", weekdays: "someday" }), 'unknown weekday "someday"');
+  assert.equal(errorFor({ dateFrom: "2026-10-19", dateTo: "2026-10-23", weekdays: [7] }), 'unknown weekday "7"');
+});
+
+test("costs a search one check per course and date", () => {
+  const courses = [NEAR, FAR, NOWHERE];
+  assert.equal(searchCost(courses, criteria({})), 3);
+  assert.equal(searchCost(courses, criteria({ dates: ["2026-10-24", "2026-10-25"] })), 6);
+  assert.equal(searchCost(courses, criteria({ dates: ["2026-10-24", "2026-10-25"], courses: ["near-18", "far-18"] })), 4);
+});
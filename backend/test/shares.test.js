@@ -0,0 +1,54 @@
+// backend/test/shares.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { useDataDir } from "./support/dataDir.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Seed the store before it's opened: one share past its 90 days, one fresh
+const { readJson } = useDataDir("shares", {
+  "shares.json": {
+    shares: [
+      { code: "oldcode1", criteria: {}, slotId: "whaleback-18.20260101.0700", createdAt: new Date(Date.now() - 91 * DAY_MS).toISOString() },
+      { code: "newcode1", criteria: {}, slotId: "whaleback-18.20261024.0746", createdAt: new Date(Date.now() - DAY_MS).toISOString() }
+    ]
+  }
+});
+process.env.MAX_SHARES = "3";
+const { createShare, getShare, pruneShares } = await import("../services/shares.js");
+
+const savedCodes = () => readJson("shares.json").shares.map(s => s.code);
+
+test("expired shares can't be opened and are pruned", () => {
+  assert.equal(getShare("oldcode1"), null);
+  assert.equal(getShare("newcode1").slotId, "whaleback-18.20261024.0746");
+  assert.equal(getShare("nosuchcd"), null);
+
+  assert.equal(pruneShares(), 1);
+  assert.deepEqual(savedCodes(), ["newcode1"]);
+  assert.equal(pruneShares(), 0);
+});
+
+test("the same search and slot give the same link, without storing it twice", () => {
+  const input = { date: "2026-10-24", earliest: "06:00", latest: "12:00", slotId: "whaleback-18.20261024.0746" };
+  const first = createShare(input);
+  const again = createShare(input);
+  assert.equal(again.share.code, first.share.code);
+  assert.equal(savedCodes().filter(c => c === first.share.code).length, 1);
+  assert.equal(first.share.criteria.origin, null);
+});
+
+test("rejects bad slot ids and slots outside the searched dates", () => {
+  assert.equal(createShare({ date: "2026-10-24", slotId: "whaleback-18.20261399.9999" }).error, "slotId is not a valid slot id");
+  assert.equal(createShare({ date: "2026-10-24", slotId: "whaleback-18.20261025.0746" }).error, "slot is not on a searched date");
+});
+
+test("keeps only the newest MAX_SHARES", () => {
+  for (const time of ["0700", "0710", "0720"]) {
+    assert.ok(createShare({ date: "2026-10-24", slotId: `whaleback-18.20261024.${time}` }).share);
+  }
+  const codes = savedCodes();
+  assert.equal(codes.length, 3);
+  assert.ok(!codes.includes("newcode1"));
+  assert.equal(getShare(codes[2]).slotId, "whaleback-18.20261024.0720");
+});
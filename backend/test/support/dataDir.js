@@ -0,0 +1,29 @@
+// backend/test/support/dataDir.js
+import { after } from "node:test";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+/**
+ * Point the JSON stores at a scratch data directory for one test file,
+ * removed again once its tests finish. `files` seeds it, e.g.
+ * { "shares.json": { shares: [...] } }.
+ *
+ * Stores open their file when first imported, so call this before
+ * importing the services under test, then load them with
+ * `await import(...)`.
+ */
+export function useDataDir(name, files = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), `teeradar-${name}-`));
+  for (const [file, doc] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dataDir, file), JSON.stringify(doc));
+  }
+  process.env.TEERADAR_DATA_DIR = dataDir;
+  after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+  return {
+    dataDir,
+    readText: file => fs.readFileSync(path.join(dataDir, file), "utf8"),
+    readJson: file => JSON.parse(fs.readFileSync(path.join(dataDir, file), "utf8"))
+  };
+}
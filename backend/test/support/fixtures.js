@@ -0,0 +1,40 @@
+// backend/test/support/fixtures.js
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { loadCatalogue } from "../../services/catalogue.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const FIXTURE_DIR = path.join(__dirname, "..", "fixtures");
+export const CATALOGUE_FILE = path.join(__dirname, "..", "..", "data", "courses.json");
+
+/**
+ * Fixture file for a course: "<provider>-<courseId>.html" for MiClub
+ * timesheets, ".json" for the JSON providers.
+ */
+export function fixtureName(course) {
+  const provider = (course.provider || "").toLowerCase();
+  return `${provider}-${course.id}.${provider === "miclub" ? "html" : "json"}`;
+}
+
+export function readFixture(name) {
+  return fs.readFileSync(path.join(FIXTURE_DIR, name), "utf8");
+}
+
+export function hasFixture(name) {
+  return fs.existsSync(path.join(FIXTURE_DIR, name));
+}
+
+/**
+ * The real catalogue, flattened to courses.
+ */
+export function catalogueCourses() {
+  return loadCatalogue(CATALOGUE_FILE).courses;
+}
+
+export function courseById(id) {
+  const course = catalogueCourses().find(c => c.id === id);
+  if (!course) throw new Error(`No course "${id}" in courses.json`);
+  return course;
+}
@@ -0,0 +1,72 @@
+// backend/test/support/standInServer.js
+import fs from "fs";
+import http from "http";
+import path from "path";
+import { FIXTURE_DIR, CATALOGUE_FILE, fixtureName, hasFixture } from "./fixtures.js";
+
+/**
+ * Local stand-in for the booking sites, so the whole search flow runs
+ * without network access:
+ *   GET /fixture/<name>?...  -> backend/test/fixtures/<name>
+ *   GET /status/<code>?...   -> an empty response with that status
+ * Every request path + query is recorded in `requests`.
+ */
+export function startStandInServer() {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    requests.push(req.url);
+    const { pathname } = new URL(req.url, "http://localhost");
+    const [, kind, arg] = pathname.split("/");
+
+    if (kind === "status") {
+      res.writeHead(Number(arg) || 500);
+      return res.end();
+    }
+
+    if (kind === "fixture" && arg && hasFixture(arg)) {
+      res.writeHead(200, {
+        "Content-Type": arg.endsWith(".json") ? "application/json" : "text/html"
+      });
+      return fs.createReadStream(path.join(FIXTURE_DIR, arg)).pipe(res);
+    }
+
+    res.writeHead(404);
+    res.end();
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, "127.0.0.1", () => {
+      const { port } = server.address();
+      resolve({
+        url: `http://127.0.0.1:${port}`,
+        requests,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+/**
+ * Write a copy of courses.json, limited to `clubIds`, whose booking
+ * templates point at the stand-in server: courses with a fixture are
+ * served it, the rest answer with `missingStatus`.
+ * Returns the file path.
+ */
+export function writeStandInCatalogue(file, baseUrl, clubIds, { missingStatus = 503 } = {}) {
+  const doc = JSON.parse(fs.readFileSync(CATALOGUE_FILE, "utf8"));
+  doc.clubs = doc.clubs
+    .filter(club => clubIds.includes(club.id))
+    .map(club => ({
+      ...club,
+      courses: club.courses.map(course => {
+        if (!course.bookingTemplate) return course;
+        const query = new URL(course.bookingTemplate).search.replace(/%7B/gi, "{").replace(/%7D/gi, "}");
+        const name = fixtureName({ ...course, provider: club.provider });
+        const target = hasFixture(name) ? `/fixture/${name}` : `/status/${missingStatus}`;
+        return { ...course, bookingTemplate: `${baseUrl}${target}${query}` };
+      })
+    }));
+  fs.writeFileSync(file, JSON.stringify(doc, null, 2));
+  return file;
+}
@@ -0,0 +1,157 @@
+// backend/test/watches.test.js
+//
+// Watches run against a stand-in search and a test notifier registered
+// like the real ones, so nothing is scraped or delivered.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { todayInPerth } from "../scrapers/helpers.js";
+import { useDataDir } from "./support/dataDir.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysFromToday = n => new Date(Date.parse(todayInPerth() + "T00:00:00Z") + n * DAY_MS).toISOString().slice(0, 10);
+const SOON = daysFromToday(3);
+const PAST = daysFromToday(-3);
+
+const seeded = (id, date, seen = []) => ({
+  id, userId: "u1", createdAt: new Date().toISOString(), active: true,
+  criteria: { date, dates: [date] }, notify: { type: "log" },
+  seen, matches: [], lastRunAt: null, lastError: null
+});
+
+// Seed the store before it's opened: a watch whose date has passed, and
+// one that announced a slot on a date since gone by
+const { readJson } = useDataDir("watches", {
+  "watches.json": {
+    watches: [
+      seeded("expired", PAST),
+      seeded("long-running", SOON, [`Whaleback|${PAST}|07:00|`, `Whaleback|${SOON}|07:00|`])
+    ]
+  }
+});
+const { createWatch, getWatch, runWatch, startWatchScheduler, slotKey } = await import("../services/watches.js");
+const { registerNotifier } = await import("../notifiers/index.js");
+
+// Every delivery, and whether the next one should fail
+const sent = [];
+let failNext = false;
+registerNotifier({
+  id: "test",
+  validate: target => (target.inbox ? null : "inbox is required"),
+  clean: target => ({ type: "test", inbox: target.inbox }),
+  async send(target, payload) {
+    if (failNext) {
+      failNext = false;
+      throw new Error("inbox full");
+    }
+    sent.push({ target, slots: payload.slots.map(s => s.time) });
+  }
+});
+
+const slot = (time, date = SOON) => ({ name: "Whaleback", date, time, spots: 4, feeGroupId: "" });
+
+// A search that returns whatever `results` holds, and counts its calls
+function standInSearch(results) {
+  const search = async (courses, criteria) => {
+    search.calls.push(criteria);
+    return { slots: results.slots };
+  };
+  search.calls = [];
+  return search;
+}
+
+const savedWatch = id => readJson("watches.json").watches.find(w => w.id === id);
+
+function newWatch(extra = {}) {
+  const { watch, error } = createWatch({ date: SOON, notify: { type: "test", inbox: "a" }, ...extra }, "u1");
+  assert.equal(error, undefined);
+  return watch;
+}
+
+test("stores only the notifier's own fields", () => {
+  const watch = newWatch({ notify: { type: "test", inbox: "a", password: "hunter2", extra: { big: "x".repeat(100) } } });
+  assert.deepEqual(savedWatch(watch.id).notify, { type: "test", inbox: "a" });
+  assert.equal(createWatch({ date: SOON, notify: { type: "test" } }).error, "inbox is required");
+  assert.equal(createWatch({ date: SOON, notify: { type: "fax" } }).error, 'unknown notify type "fax"');
+});
+
+test("announces each slot once", async () => {
+  const watch = newWatch();
+  const results = { slots: [slot("07:00"), slot("07:10")] };
+  const search = standInSearch(results);
+  sent.length = 0;
+
+  assert.deepEqual((await runWatch(watch.id, [], { search })).map(s => s.time), ["07:00", "07:10"]);
+  results.slots = [slot("07:00"), slot("07:10"), slot("07:20")];
+  assert.deepEqual((await runWatch(watch.id, [], { search })).map(s => s.time), ["07:20"]);
+  assert.deepEqual(await runWatch(watch.id, [], { search }), []);
+
+  assert.deepEqual(sent.map(s => s.slots), [["07:00", "07:10"], ["07:20"]]);
+  assert.deepEqual(sent[0].target, { type: "test", inbox: "a" });
+  const saved = getWatch(watch.id);
+  assert.equal(saved.seenCount, 3);
+  assert.deepEqual(saved.matches.map(m => m.slot.time), ["07:20", "07:00", "07:10"]);
+  assert.equal(await runWatch("no-such-watch", [], { search }), null);
+});
+
+test("a failed delivery is retried on the next run", async () => {
+  const watch = newWatch();
+  const search = standInSearch({ slots: [slot("08:00")] });
+  sent.length = 0;
+
+  failNext = true;
+  await runWatch(watch.id, [], { search });
+  assert.equal(getWatch(watch.id).lastError, "notify failed: inbox full");
+  assert.equal(getWatch(watch.id).seenCount, 0);
+  assert.equal(sent.length, 0);
+
+  assert.deepEqual((await runWatch(watch.id, [], { search })).map(s => s.time), ["08:00"]);
+  assert.equal(getWatch(watch.id).lastError, null);
+  assert.equal(getWatch(watch.id).seenCount, 1);
+  assert.deepEqual(sent.map(s => s.slots), [["08:00"]]);
+});
+
+test("forgets slots whose date has passed", async () => {
+  assert.equal(getWatch("long-running").seenCount, 2);
+  await runWatch("long-running", [], { search: standInSearch({ slots: [slot("07:00")] }) });
+  assert.deepEqual(savedWatch("long-running").seen, [slotKey(slot("07:00"))]);
+});
+
+test("a second run of the same watch joins the one in progress", async () => {
+  const watch = newWatch();
+  let release;
+  const search = async () => {
+    search.calls += 1;
+    await new Promise(resolve => { release = resolve; });
+    return { slots: [slot("09:00")] };
+  };
+  search.calls = 0;
+  sent.length = 0;
+
+  const first = runWatch(watch.id, [], { search });
+  const second = runWatch(watch.id, [], { search });
+  await new Promise(setImmediate);
+  release();
+  const [a, b] = await Promise.all([first, second]);
+
+  assert.equal(search.calls, 1);
+  assert.equal(a, b);
+  assert.deepEqual(sent.map(s => s.slots), [["09:00"]]);
+  // Once finished, it can run again
+  assert.deepEqual(await runWatch(watch.id, [], { search: standInSearch({ slots: [slot("09:00")] }) }), []);
+});
+
+test("the scheduler runs active watches and switches off expired ones", async () => {
+  const search = standInSearch({ slots: [] });
+  const scheduler = startWatchScheduler({ courses: [], intervalMs: DAY_MS, search });
+  try {
+    await scheduler.tick();
+  } finally {
+    scheduler.stop();
+  }
+
+  assert.equal(getWatch("expired").active, false);
+  assert.equal(getWatch("expired").lastRunAt, null);
+  const active = readJson("watches.json").watches.filter(w => w.active);
+  assert.equal(search.calls.length, active.length);
+  assert.ok(search.calls.every(c => c.dates[0] === SOON));
+});
@@ -0,0 +1,86 @@
+// backend/test/webhook.test.js
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { createWebhookNotifier, webhookNotifier, isPrivateAddress } from "../notifiers/webhook.js";
+
+const payload = { watchId: "w1", criteria: {}, slots: [] };
+const servers = [];
+
+function listen(handler) {
+  return new Promise(resolve => {
+    const server = http.createServer(handler).listen(0, "127.0.0.1", () => {
+      servers.push(server);
+      resolve(`http://127.0.0.1:${server.address().port}/hook`);
+    });
+  });
+}
+
+after(() => {
+  servers.forEach(s => {
+    s.closeAllConnections();
+    s.close();
+  });
+});
+
+test("refuses loopback, private and link-local webhook hosts", () => {
+  for (const url of [
+    "http://localhost:3000/hook",
+    "http://127.0.0.1/hook",
+    "http://10.1.2.3/hook",
+    "http://192.168.0.10/hook",
+    "http://172.20.0.1/hook",
+    "http://169.254.169.254/latest/meta-data",
+    "http://[::1]/hook",
+    "http://[fd00::1]/hook",
+    "http://[::ffff:127.0.0.1]/hook"
+  ]) {
+    assert.equal(webhookNotifier.validate({ url }), "webhook url must point at a public host", url);
+  }
+  assert.equal(webhookNotifier.validate({ url: "ftp://example.com/" }), "webhook url must be http(s)");
+  assert.equal(webhookNotifier.validate({ url: "https://hooks.example.com/teeradar" }), null);
+});
+
+test("classifies addresses", () => {
+  assert.equal(isPrivateAddress("8.8.8.8"), false);
+  assert.equal(isPrivateAddress("100.64.1.1"), true);
+  assert.equal(isPrivateAddress("2001:4860:4860::8888"), false);
+  assert.equal(isPrivateAddress("fe80::1"), true);
+});
+
+test("refuses to send to a private host even if it was stored", async () => {
+  await assert.rejects(
+    webhookNotifier.send({ url: "http://127.0.0.1:9/hook" }, payload),
+    /public host/
+  );
+});
+
+test("gives up on a webhook that never answers", async () => {
+  const url = await listen(() => {});   // accepts the request, never responds
+  const notifier = createWebhookNotifier({ timeoutMs: 200, allowPrivate: true });
+
+  const started = Date.now();
+  await assert.rejects(notifier.send({ url }, payload), /timed out after 200 ms/);
+  assert.ok(Date.now() - started < 2000);
+});
+
+test("posts the payload and reports HTTP errors", async () => {
+  let received = null;
+  const ok = await listen((req, res) => {
+    let body = "";
+    req.on("data", chunk => { body += chunk; });
+    req.on("end", () => {
+      received = JSON.parse(body);
+      res.end("ok");
+    });
+  });
+  const failing = await listen((req, res) => {
+    res.statusCode = 500;
+    res.end();
+  });
+  const notifier = createWebhookNotifier({ timeoutMs: 1000, allowPrivate: true });
+
+  await notifier.send({ url: ok }, payload);
+  assert.deepEqual(received, payload);
+  await assert.rejects(notifier.send({ url: failing }, payload), /HTTP 500/);
+});
@@ -1,4 +0,0 @@
-window.TEERADAR_BACKEND = "";
-window.TEERADAR_COURSE_BASES = {
-  "Araluen Estate": "https://araluenestategolfcourse.miclub.com.au/guests/bookings/ViewPublicTimesheet.msp?bookingResourceId=3000000&selectedDate=YYYY-MM-DD&feeGroupId=102808&mobile=true"
-};
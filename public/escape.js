@@ -0,0 +1,6 @@
+/* HTML escaping for text we didn't write ourselves: member names, API key
+   names, upstream error messages. Shared by every page that builds markup
+   from strings. */
+window.escapeHtml = function(text){
+  return String(text).replace(/[&<>"']/g, ch => `&#${ch.charCodeAt(0)};`);
+};
@@ -1,34 +1,73 @@
-
+/* TeeRadar course catalogue + booking links, shared by every page.
+   All course data comes from GET /api/courses (backend/data/courses.json). */
 window.TeeRadarProviders = (function(){
+  const cache = {};
+
+  function apiBase(){ return window.TEERADAR_BACKEND || ''; }
+
   function qs(obj){
     const p = new URLSearchParams();
     Object.entries(obj).forEach(([k,v])=>{ if(v!==undefined && v!==null && String(v).length) p.set(k,String(v)); });
     return p.toString();
   }
-  function proceedUrl(courseName, date, time, configMap, searchFallback){
-    const cfg = configMap[courseName];
-    if(!cfg){ return searchFallback(courseName); }
-    const provider = (cfg.provider||'').toLowerCase();
-    let url = null;
+
+  /* filters: { region, provider, club } (comma-separated values allowed) */
+  function loadCourses(filters){
+    const query = qs(filters || {});
+    if(!cache[query]){
+      cache[query] = fetch(`${apiBase()}/api/courses${query ? '?' + query : ''}`)
+        .then(r => { if(!r.ok) throw new Error('courses unavailable'); return r.json(); })
+        .catch(err => { delete cache[query]; throw err; });
+    }
+    return cache[query];
+  }
+
+  function loadClubs(){
+    if(!cache.__clubs){
+      cache.__clubs = fetch(`${apiBase()}/api/clubs`)
+        .then(r => { if(!r.ok) throw new Error('clubs unavailable'); return r.json(); })
+        .catch(err => { delete cache.__clubs; throw err; });
+    }
+    return cache.__clubs;
+  }
+
+  function fill(template, date, feeGroupId){
+    if(!template) return null;
+    return template
+      .replace(/\{date\}/g, date)
+      .replace(/\{ymd\}/g, date.replace(/-/g,''))
+      .replace(/\{feeGroupId\}/g, feeGroupId || '');
+  }
+
+  /* Date-specific booking link for a catalogue course (null for phone-only). */
+  function bookingUrl(course, date, time){
+    if(!course) return null;
+    const provider = (course.provider||'').toLowerCase();
+    if(provider==='phone') return null;
+    const day = date || new Date().toISOString().slice(0,10);
+    const template = course.publicBookingTemplate || course.bookingTemplate;
+    let url = fill(template, day, course.feeGroupId);
+    if(!url) return course.calendarUrl || null;
     if(provider==='miclub'){
-      if(cfg.bookingResourceId && cfg.feeGroupId){
-        const base = `https://${cfg.domain}/guests/bookings/ViewPublicTimesheet.msp`;
-        url = `${base}?` + qs({bookingResourceId:cfg.bookingResourceId, selectedDate:date, feeGroupId:cfg.feeGroupId, mobile:'true', selectedTime:time});
-      }else if(cfg.calendarUrl){
-        try{ const u = new URL(cfg.calendarUrl); if(date) u.searchParams.set('selectedDate', date); url = u.toString(); }catch(e){ url = cfg.calendarUrl; }
-      }
-    }else if(provider==='lightspeed' || provider==='chronogolf'){
-      if(cfg.calendarUrl){ try{ const u=new URL(cfg.calendarUrl); if(date) u.searchParams.set('date', date); url=u.toString(); }catch(e){ url=cfg.calendarUrl; } }
-    }else if(provider==='quick18'){
-      if(cfg.calendarUrl){
-        try{
-          const u=new URL(cfg.calendarUrl);
-          if(date){ if(!u.searchParams.has('selectedDate')) u.searchParams.set('date', date); else u.searchParams.set('selectedDate', date); }
-          url=u.toString();
-        }catch(e){ url=cfg.calendarUrl; }
-      }
+      try{ const u = new URL(url); u.searchParams.set('mobile','true'); if(time) u.searchParams.set('selectedTime', time); url = u.toString(); }catch(e){}
     }
-    return url || cfg.calendarUrl || searchFallback(courseName);
+    return url;
+  }
+
+  function phoneUrl(course){
+    return course && course.phone ? `tel:${course.phone.replace(/\s+/g,'')}` : null;
+  }
+
+  /* Look a course up by catalogue id (or name) and build its link. */
+  async function proceedUrl(courseIdOrName, date, time, searchFallback){
+    let course = null;
+    try{
+      const courses = await loadCourses();
+      course = courses.find(c => c.id===courseIdOrName || c.name===courseIdOrName);
+    }catch(e){}
+    const url = bookingUrl(course, date, time) || phoneUrl(course);
+    return url || (searchFallback ? searchFallback(courseIdOrName) : null);
   }
-  return { proceedUrl };
+
+  return { loadCourses, loadClubs, bookingUrl, phoneUrl, proceedUrl };
 })();
@@ -1,13 +1,133 @@
-/* TeeRadar SW: cache app shell + assets; network-first for HTML, cache-first for static */
-const VERSION = 'tr-v1';
+/* TeeRadar SW: cache app shell + assets; network-first for HTML, cache-first for static.
+   The last search and the course catalogue are kept in IndexedDB for offline use,
+   and searches made offline re-run (Background Sync) once the connection is back. */
+
+// The server prepends self.TEERADAR_BUILD, so caches turn over with each build
+const VERSION = 'tr-' + (self.TEERADAR_BUILD || 'dev');
+const SYNC_TAG = 'tr-rerun-searches';
 const APP_SHELL = [
-  '/', '/index.html', '/book.html', '/dashboard.html', '/faq.html',
+  '/', '/index.html', '/book.html', '/group.html', '/dashboard.html', '/faq.html',
   '/privacy.html', '/terms.html', '/refunds.html', '/offline.html',
-  '/assets/hero_golf_bg.jpg',
-  '/assets/providers.js', '/assets/config.js',
+  '/assets/hero_golf_bg.jpg', '/assets/leaflet.js', '/assets/leaflet.css',
+  '/assets/icon-192.png',
+  '/providers.js', '/config.js', '/escape.js',
   '/manifest.webmanifest'
 ];
 
+/* -----------------------
+   IndexedDB: `responses` holds the last good answer per key
+   ('search', 'courses?...'), `pending` the searches waiting for a connection
+------------------------*/
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open('teeradar', 1);
+      req.onupgradeneeded = () => {
+        req.result.createObjectStore('responses');
+        req.result.createObjectStore('pending');
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => { dbPromise = null; reject(req.error); };
+    });
+  }
+  return dbPromise;
+}
+
+async function idb(store, mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(store, mode);
+    const req = fn(tx.objectStore(store));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+const saveResponse = (key, data) =>
+  idb('responses', 'readwrite', s => s.put({ data, savedAt: new Date().toISOString() }, key));
+const readResponse = key => idb('responses', 'readonly', s => s.get(key));
+
+// Keyed by the request body, so the same search queued twice runs once
+const queueSearch = body => idb('pending', 'readwrite', s => s.put({ body, queuedAt: new Date().toISOString() }, body));
+const pendingSearches = () => idb('pending', 'readonly', s => s.getAll());
+const clearSearch = body => idb('pending', 'readwrite', s => s.delete(body));
+
+const jsonResponse = (body, status = 200, headers = {}) =>
+  new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json', ...headers } });
+
+/* -----------------------
+   API handlers
+------------------------*/
+
+// Catalogue: network-first, falling back to the last copy
+async function coursesRequest(req, url) {
+  const key = 'courses' + url.search;
+  try {
+    const res = await fetch(req);
+    if (res.ok) saveResponse(key, await res.clone().json()).catch(() => {});
+    return res;
+  } catch (err) {
+    const saved = await readResponse(key).catch(() => null);
+    if (!saved) throw err;
+    return jsonResponse(saved.data, 200, { 'X-TeeRadar-Saved-At': saved.savedAt });
+  }
+}
+
+// Search: network-first; offline, queue it and answer with the last results
+async function searchRequest(req) {
+  const body = await req.clone().text();
+  try {
+    const res = await fetch(req);
+    if (res.ok) {
+      const data = await res.clone().json();
+      saveResponse('search', { criteria: JSON.parse(body), response: data }).catch(() => {});
+    }
+    return res;
+  } catch (err) {
+    // 'sync': Background Sync re-runs it; 'online': the page asks us to when it's back online
+    let queued = await queueSearch(body).then(() => 'online', () => null);
+    if (queued && self.registration.sync) {
+      queued = await self.registration.sync.register(SYNC_TAG).then(() => 'sync', () => 'online');
+    }
+
+    const saved = await readResponse('search').catch(() => null);
+    if (!saved) {
+      return jsonResponse({
+        error: "You're offline and there are no saved results yet. We'll run this search when you're back online.",
+        offline: { savedAt: null, queued }
+      }, 503);
+    }
+    return jsonResponse({
+      ...saved.data.response,
+      criteria: saved.data.criteria,
+      offline: { savedAt: saved.savedAt, queued }
+    });
+  }
+}
+
+async function rerunSearches() {
+  const pending = await pendingSearches();
+  for (const { body } of pending) {
+    const res = await fetch('/api/search', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body
+    });
+    // Server trouble: throw so the browser retries the sync later
+    if (res.status >= 500) throw new Error(`search re-run failed: ${res.status}`);
+    await clearSearch(body);
+    if (!res.ok) continue; // criteria no longer valid (e.g. the date has passed)
+
+    const criteria = JSON.parse(body);
+    const response = await res.json();
+    await saveResponse('search', { criteria, response });
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(c => c.postMessage({ type: 'search-synced', criteria, response }));
+  }
+}
+
 self.addEventListener('install', (e) => {
   e.waitUntil(
     caches.open(VERSION).then(c => c.addAll(APP_SHELL)).then(()=> self.skipWaiting())
@@ -26,12 +146,19 @@ self.addEventListener('fetch', (e) => {
   const req = e.request;
   const url = new URL(req.url);
 
-  // API: network-first (don’t cache dynamic bookings)
+  if (url.pathname === '/api/courses' && req.method === 'GET') {
+    e.respondWith(coursesRequest(req, url));
+    return;
+  }
+  if (url.pathname === '/api/search' && req.method === 'POST') {
+    e.respondWith(searchRequest(req));
+    return;
+  }
+
+  // Other API calls: network-first (don’t cache dynamic bookings)
   if (url.pathname.startsWith('/api/')) {
     e.respondWith(
-      fetch(req).catch(() => new Response(JSON.stringify({ ok:false, offline:true }), {
-        headers: { 'Content-Type': 'application/json' }
-      }))
+      fetch(req).catch(() => jsonResponse({ ok:false, offline:true, error:"You're offline." }, 503))
     );
     return;
   }
@@ -44,7 +171,7 @@ self.addEventListener('fetch', (e) => {
         caches.open(VERSION).then(c => c.put(req, copy));
         return res;
       }).catch(async () => {
-        const cached = await caches.match(req);
+        const cached = await caches.match(req, { ignoreSearch: true });
         return cached || caches.match('/offline.html');
       })
     );
@@ -60,3 +187,31 @@ self.addEventListener('fetch', (e) => {
     }))
   );
 });
+
+self.addEventListener('sync', (e) => {
+  if (e.tag === SYNC_TAG) e.waitUntil(rerunSearches());
+});
+
+// Browsers without Background Sync: pages post this when they come back online
+self.addEventListener('message', (e) => {
+  if (e.data && e.data.type === 'rerun-searches') e.waitUntil(rerunSearches().catch(() => {}));
+});
+
+// Tee-time watch alerts (sent by backend/notifiers/webpush.js)
+self.addEventListener('push', (e) => {
+  let data = {};
+  try { data = e.data ? e.data.json() : {}; } catch (err) { data = { body: e.data && e.data.text() }; }
+  e.waitUntil(
+    self.registration.showNotification(data.title || 'TeeRadar', {
+      body: data.body || 'A tee time you are watching just opened up.',
+      icon: '/assets/icon-192.png',
+      data: { url: data.url || '/book.html' }
+    })
+  );
+});
+
+self.addEventListener('notificationclick', (e) => {
+  e.notification.close();
+  const target = (e.notification.data && e.notification.data.url) || '/book.html';
+  e.waitUntil(self.clients.openWindow(target));
+});